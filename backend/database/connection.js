@@ -1,5 +1,11 @@
 // PostgreSQL Database Connection for Supabase
 const { Pool } = require('pg');
+const { logger } = require('../utils/logger');
+const { createCounter, createGauge, createHistogram } = require('../utils/metrics');
+
+// Queries taking longer than this are logged (with their SQL, not their
+// parameters, which can hold customer details)
+const SLOW_QUERY_MS = parseInt(process.env.DB_SLOW_QUERY_MS) || 500;
 
 // Supabase PostgreSQL connection
 const pool = new Pool({
@@ -14,24 +20,59 @@ const pool = new Pool({
 
 // Test database connection
 pool.on('connect', () => {
-  console.log('✅ Connected to PostgreSQL database');
+  logger.debug('Connected to PostgreSQL database');
 });
 
 pool.on('error', (err) => {
-  console.error('❌ Database connection error:', err);
+  logger.error('Database connection error', { error: err });
   process.exit(-1);
 });
 
+const queryDuration = createHistogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database query duration in seconds, by outcome (ok or error)',
+  labelNames: ['outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+});
+
+createGauge({
+  name: 'db_pool_clients',
+  help: 'Database pool clients, by state: total (open), idle, or waiting (requests queued for a client)',
+  collect: () => [
+    { labels: { state: 'total' }, value: pool.totalCount },
+    { labels: { state: 'idle' }, value: pool.idleCount },
+    { labels: { state: 'waiting' }, value: pool.waitingCount }
+  ]
+});
+
+const longHeldClients = createCounter({
+  name: 'db_client_long_held_total',
+  help: 'Database clients checked out of the pool for more than 5 seconds'
+});
+
+// SQL text of a query (a string or a { text } config), on one line
+const queryText = (queryConfig) => {
+  const text = typeof queryConfig === 'string' ? queryConfig : queryConfig?.text;
+  return String(text ?? '').replace(/\s+/g, ' ').trim().slice(0, 1000);
+};
+
+const recordQuery = (queryConfig, duration, outcome, rows) => {
+  queryDuration.observe({ outcome }, duration / 1000);
+  if (outcome === 'ok' && duration >= SLOW_QUERY_MS) {
+    logger.warn('Slow query', { query: queryText(queryConfig), durationMs: duration, rows });
+  }
+};
+
 // Helper function to execute queries
 const query = async (text, params) => {
   const start = Date.now();
   try {
     const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log('📊 Query executed:', { text, duration, rows: res.rowCount });
+    recordQuery(text, Date.now() - start, 'ok', res.rowCount);
     return res;
   } catch (error) {
-    console.error('❌ Database query error:', error);
+    recordQuery(text, Date.now() - start, 'error');
+    logger.error('Database query error', { query: queryText(text), error });
     throw error;
   }
 };
@@ -44,20 +85,32 @@ const getClient = async () => {
   
   // Set a timeout of 5 seconds, after which we will log this client's last query
   const timeout = setTimeout(() => {
-    console.error('A client has been checked out for more than 5 seconds!');
-    console.error(`The last executed query on this client was: ${client.lastQuery}`);
+    longHeldClients.inc();
+    logger.warn('A client has been checked out for more than 5 seconds', { lastQuery: queryText(client.lastQuery?.[0]) });
   }, 5000);
   
   // Monkey patch the query method to keep track of the last query executed
+  // and time it
   client.query = (...args) => {
     client.lastQuery = args;
-    return query.apply(client, args);
+    const start = Date.now();
+    const result = query.apply(client, args);
+    if (result && typeof result.then === 'function') {
+      result.then(
+        res => recordQuery(args[0], Date.now() - start, 'ok', res?.rowCount),
+        () => recordQuery(args[0], Date.now() - start, 'error')
+      );
+    }
+    return result;
   };
   
-  client.release = () => {
+  client.release = (...args) => {
     clearTimeout(timeout);
-    // Call the actual 'release' method
-    return release.call(client);
+    // Put back the original methods, so the next checkout of this pooled
+    // client doesn't wrap the wrappers (and time each query again)
+    client.query = query;
+    client.release = release;
+    return release.apply(client, args);
   };
   
   return client;
@@ -1,13 +1,13 @@
--- KK Beauty Database Schema for Supabase (PostgreSQL)
--- This schema is compatible with Supabase's PostgreSQL instance
-
--- Enable Row Level Security (RLS) - Supabase best practice
--- Note: You can configure RLS policies in Supabase dashboard later
+-- Baseline - the schema as it stood when migrations were introduced, from the
+-- hand-applied database/*-schema.sql files in the order they were run.
+-- Every statement is idempotent, so this also runs cleanly on databases
+-- where those files were already applied; there it just records the
+-- baseline as applied.
 
 -- Orders table - stores main order information
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
-    order_id VARCHAR(50) UNIQUE NOT NULL,           -- Friendly order ID (e.g., KK-123456)
+    order_id VARCHAR(50) UNIQUE NOT NULL,           -- Friendly order ID (e.g., KK-7QF3XM9D2K3, see utils/orderNumber.js)
     stripe_payment_intent_id VARCHAR(100) NOT NULL,  -- Stripe payment intent ID
     customer_name VARCHAR(255) NOT NULL,
     customer_email VARCHAR(255) NOT NULL,
@@ -67,9 +67,25 @@ ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
 
 -- Optional: Create a basic policy for authenticated users (adjust as needed)
 -- You can modify these policies in the Supabase dashboard
+DROP POLICY IF EXISTS "Enable read access for all users" ON orders;
 CREATE POLICY "Enable read access for all users" ON orders FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Enable insert access for all users" ON orders;
 CREATE POLICY "Enable insert access for all users" ON orders FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Enable update access for all users" ON orders;
 CREATE POLICY "Enable update access for all users" ON orders FOR UPDATE USING (true);
 
+DROP POLICY IF EXISTS "Enable read access for all users" ON order_items;
 CREATE POLICY "Enable read access for all users" ON order_items FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Enable insert access for all users" ON order_items;
 CREATE POLICY "Enable insert access for all users" ON order_items FOR INSERT WITH CHECK (true);
+
+-- Newsletter subscriptions table
+CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    subscribed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+-- Create index for better performance
+CREATE INDEX IF NOT EXISTS idx_newsletter_email ON newsletter_subscriptions(email);
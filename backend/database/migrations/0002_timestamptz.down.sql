@@ -0,0 +1,34 @@
+-- Puts back the TIMESTAMP columns of the old database/schema.sql and
+-- database/newsletter-schema.sql, keeping the stored values as UTC. On a
+-- database that never had them this still converts the columns; running
+-- 0002 up again converts them back without changing any value.
+DO $$
+DECLARE
+    col RECORD;
+BEGIN
+    FOR col IN
+        SELECT table_name, column_name
+        FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND data_type = 'timestamp with time zone'
+          AND (table_name, column_name) IN (
+              ('orders', 'created_at'),
+              ('orders', 'updated_at'),
+              ('order_items', 'created_at'),
+              ('newsletter_subscriptions', 'subscribed_at')
+          )
+    LOOP
+        EXECUTE format(
+            'ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMP USING %I AT TIME ZONE ''UTC'', ALTER COLUMN %I SET DEFAULT CURRENT_TIMESTAMP',
+            col.table_name, col.column_name, col.column_name, col.column_name
+        );
+    END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
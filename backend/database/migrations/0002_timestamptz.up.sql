@@ -0,0 +1,36 @@
+-- Databases set up from the old database/schema.sql (Railway) and
+-- database/newsletter-schema.sql have TIMESTAMP columns where the rest of the
+-- schema uses TIMESTAMP WITH TIME ZONE. Convert them, reading the stored
+-- values as UTC (the server time zone they were written in). Columns that are
+-- already TIMESTAMP WITH TIME ZONE are left alone.
+DO $$
+DECLARE
+    col RECORD;
+BEGIN
+    FOR col IN
+        SELECT table_name, column_name
+        FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND data_type = 'timestamp without time zone'
+          AND (table_name, column_name) IN (
+              ('orders', 'created_at'),
+              ('orders', 'updated_at'),
+              ('order_items', 'created_at'),
+              ('newsletter_subscriptions', 'subscribed_at')
+          )
+    LOOP
+        EXECUTE format(
+            'ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMP WITH TIME ZONE USING %I AT TIME ZONE ''UTC'', ALTER COLUMN %I SET DEFAULT NOW()',
+            col.table_name, col.column_name, col.column_name, col.column_name
+        );
+    END LOOP;
+END $$;
+
+-- schema.sql's version of the trigger function used CURRENT_TIMESTAMP
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
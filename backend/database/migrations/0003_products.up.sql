@@ -0,0 +1,36 @@
+-- Products table - server-side catalog used to price every checkout
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    sku VARCHAR(64) UNIQUE NOT NULL,                -- Stock keeping unit (e.g., KK-SERUM-30ML)
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0), -- Unit price charged at checkout
+    is_active BOOLEAN DEFAULT TRUE,                 -- Inactive products cannot be purchased
+    images JSONB DEFAULT '[]'::jsonb,               -- Array of image URLs
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_is_active ON products(is_active);
+
+DROP TRIGGER IF EXISTS update_products_updated_at ON products;
+CREATE TRIGGER update_products_updated_at
+    BEFORE UPDATE ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- order_items.product_id now references the catalog. NOT VALID skips the check
+-- for rows written before the catalog existed; new rows are always checked.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_order_items_product'
+    ) THEN
+        ALTER TABLE order_items
+            ADD CONSTRAINT fk_order_items_product
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+            NOT VALID;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id);
@@ -0,0 +1,41 @@
+-- Inventory tracking - per-product stock counts, checkout reservations and
+-- an adjustment history.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS stock_quantity INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER NOT NULL DEFAULT 5;
+
+-- Stock held for a payment intent between checkout and payment
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id SERIAL PRIMARY KEY,
+    stripe_payment_intent_id VARCHAR(100) NOT NULL,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active',   -- active, converted, released, expired
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_payment_intent ON stock_reservations(stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_active ON stock_reservations(product_id, expires_at) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_stock_reservations_updated_at ON stock_reservations;
+CREATE TRIGGER update_stock_reservations_updated_at
+    BEFORE UPDATE ON stock_reservations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Every change to products.stock_quantity, manual or from orders
+CREATE TABLE IF NOT EXISTS inventory_adjustments (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity_change INTEGER NOT NULL,               -- Positive adds stock, negative removes it
+    quantity_after INTEGER NOT NULL,                -- stock_quantity after the change
+    reason VARCHAR(30) NOT NULL,                    -- sale, cancellation, restock, correction, damage, return, other
+    note TEXT,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),                        -- Admin who made a manual adjustment
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_adjustments_product ON inventory_adjustments(product_id, created_at);
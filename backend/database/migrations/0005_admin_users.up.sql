@@ -0,0 +1,19 @@
+-- Admin users - staff accounts allowed to use the /api/admin endpoints
+CREATE TABLE IF NOT EXISTS admin_users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,             -- Stored lowercased
+    name VARCHAR(255),
+    password_hash VARCHAR(255) NOT NULL,            -- scrypt$<salt>$<hash>
+    role VARCHAR(20) NOT NULL DEFAULT 'support'     -- support (read-only), operations (full access)
+        CHECK (role IN ('support', 'operations')),
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_admin_users_updated_at ON admin_users;
+CREATE TRIGGER update_admin_users_updated_at
+    BEFORE UPDATE ON admin_users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,18 @@
+-- Order status history - one row for every order status change
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),                        -- NULL for the status an order was created with
+    to_status VARCHAR(20) NOT NULL,
+    actor VARCHAR(255) NOT NULL,                    -- Admin email, or 'system'
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Backfill a starting entry for orders created before history was recorded
+INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, created_at)
+SELECT o.id, NULL, o.order_status, 'system', 'Recorded when status history was introduced', o.updated_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
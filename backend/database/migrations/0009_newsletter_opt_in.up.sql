@@ -0,0 +1,35 @@
+-- Newsletter double opt-in - subscriptions start as 'pending' until the
+-- emailed confirmation link is clicked.
+
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS status VARCHAR(20);
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS confirmation_sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS source VARCHAR(100);       -- Where the form was shown (footer, checkout, ...)
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS consent_text TEXT;         -- Wording the subscriber agreed to
+
+-- Existing subscribers signed up before confirmation existed
+UPDATE newsletter_subscriptions
+SET status = CASE WHEN is_active THEN 'active' ELSE 'unsubscribed' END
+WHERE status IS NULL;
+
+ALTER TABLE newsletter_subscriptions ALTER COLUMN status SET DEFAULT 'pending';  -- pending, active, unsubscribed
+ALTER TABLE newsletter_subscriptions ALTER COLUMN status SET NOT NULL;
+ALTER TABLE newsletter_subscriptions ALTER COLUMN is_active SET DEFAULT FALSE;    -- TRUE only once confirmed
+
+-- Consent audit trail - one row per subscribe, confirm and unsubscribe action
+CREATE TABLE IF NOT EXISTS newsletter_consent_events (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES newsletter_subscriptions(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL,                     -- subscribed, confirmed, unsubscribed
+    source VARCHAR(100),
+    consent_text TEXT,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_consent_events_subscription ON newsletter_consent_events(subscription_id);
+
+-- Extra headers (e.g. List-Unsubscribe) stored with queued emails
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS headers JSONB;
@@ -0,0 +1,47 @@
+-- Discount codes redeemable at checkout
+CREATE TABLE IF NOT EXISTS discount_codes (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,               -- Stored upper-case; matched case-insensitively
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL
+        CHECK (discount_type IN ('percentage', 'fixed_amount', 'free_shipping')),
+    value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0), -- Percent off, or amount off in order currency
+    min_order_amount DECIMAL(10,2),                 -- Minimum cart subtotal before the discount
+    product_ids INTEGER[],                          -- Only these products are discounted (NULL = whole cart)
+    starts_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    usage_limit INTEGER CHECK (usage_limit > 0),    -- Total redemptions allowed (NULL = unlimited)
+    usage_limit_per_email INTEGER CHECK (usage_limit_per_email > 0),
+    times_used INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (discount_type <> 'percentage' OR value <= 100)
+);
+
+-- One row per order that used a code
+CREATE TABLE IF NOT EXISTS discount_redemptions (
+    id SERIAL PRIMARY KEY,
+    discount_code_id INTEGER NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    customer_email VARCHAR(255) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,                  -- Discount given on the order
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (discount_code_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_code_email
+    ON discount_redemptions(discount_code_id, LOWER(customer_email));
+
+-- Discount applied to each order, and each line's share of it, so
+-- subtotal - discount + tax + shipping = total
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+DROP TRIGGER IF EXISTS update_discount_codes_updated_at ON discount_codes;
+CREATE TRIGGER update_discount_codes_updated_at
+    BEFORE UPDATE ON discount_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
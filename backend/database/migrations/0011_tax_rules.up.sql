@@ -0,0 +1,34 @@
+-- Tax rates by destination. The most specific matching rule wins: a postal
+-- prefix match beats a region match, which beats a country-wide rule.
+CREATE TABLE IF NOT EXISTS tax_rules (
+    id SERIAL PRIMARY KEY,
+    country VARCHAR(2) NOT NULL,                    -- ISO 3166-1 alpha-2, upper-case
+    region VARCHAR(100),                            -- State/province code (NULL = whole country)
+    postal_prefix VARCHAR(20),                      -- Postal code prefix (NULL = any)
+    name VARCHAR(100) NOT NULL,                     -- Shown to customers, e.g. "CA sales tax"
+    rate DECIMAL(6,5) NOT NULL CHECK (rate >= 0 AND rate < 1), -- 0.08250 = 8.25%
+    is_inclusive BOOLEAN NOT NULL DEFAULT FALSE,    -- Catalog prices already include this tax (e.g. VAT)
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rules_destination
+    ON tax_rules(country, COALESCE(region, ''), COALESCE(postal_prefix, ''));
+
+-- Region (state/province) used to pick the tax rule
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_region VARCHAR(100);
+
+-- Whether tax_amount is already included in the item prices (so it isn't
+-- added on top: total = subtotal - discount + shipping)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_inclusive BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Per-line tax breakdown
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(6,5);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2);
+
+DROP TRIGGER IF EXISTS update_tax_rules_updated_at ON tax_rules;
+CREATE TRIGGER update_tax_rules_updated_at
+    BEFORE UPDATE ON tax_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,55 @@
+-- Shipping zones - groups of destination countries. A zone with no countries
+-- covers every country that isn't in another active zone (rest of world).
+CREATE TABLE IF NOT EXISTS shipping_zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    countries VARCHAR(2)[] NOT NULL DEFAULT '{}',   -- ISO 3166-1 alpha-2, upper-case
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Shipping methods offered in each zone (standard, express, ...)
+CREATE TABLE IF NOT EXISTS shipping_methods (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,                     -- Shown to customers, e.g. "Express"
+    rate_type VARCHAR(20) NOT NULL DEFAULT 'flat'
+        CHECK (rate_type IN ('flat', 'weight', 'order_value')),
+    flat_rate DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (flat_rate >= 0),
+    -- For weight/order_value rates: [{ "upTo": 500, "rate": "4.95" }, { "upTo": null, "rate": "9.95" }]
+    -- sorted by upTo (grams or order value); the first tier the cart fits in applies,
+    -- and the method isn't offered if it fits in none
+    rate_tiers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    free_over_amount DECIMAL(10,2),                 -- Free when the discounted subtotal reaches this
+    min_transit_days INTEGER NOT NULL CHECK (min_transit_days >= 0),
+    max_transit_days INTEGER NOT NULL,              -- Business days
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (max_transit_days >= min_transit_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_methods_zone_id ON shipping_methods(zone_id);
+
+-- Used by weight-based rates
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER NOT NULL DEFAULT 0 CHECK (weight_grams >= 0);
+
+-- Method chosen at checkout and its transit time, for delivery estimates
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_method_id INTEGER REFERENCES shipping_methods(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_method_name VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_min_days INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_max_days INTEGER;
+
+DROP TRIGGER IF EXISTS update_shipping_zones_updated_at ON shipping_zones;
+CREATE TRIGGER update_shipping_zones_updated_at
+    BEFORE UPDATE ON shipping_zones
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_shipping_methods_updated_at ON shipping_methods;
+CREATE TRIGGER update_shipping_methods_updated_at
+    BEFORE UPDATE ON shipping_methods
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,41 @@
+-- Exchange rates from the base currency (BASE_CURRENCY, default USD). Every
+-- currency other than the base needs a rate to be accepted at checkout; it's
+-- used to convert catalog prices without a price list entry, discount amounts
+-- and shipping rates.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency VARCHAR(3) PRIMARY KEY,                -- ISO 4217, upper-case
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),   -- Units of `currency` per 1 base currency unit
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-currency price lists: fixed prices that override the converted catalog price
+CREATE TABLE IF NOT EXISTS product_prices (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (product_id, currency)
+);
+
+-- orders.currency already exists; record the rate used so amounts can be
+-- converted back to the base currency for reporting
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE discount_redemptions ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+CREATE INDEX IF NOT EXISTS idx_orders_currency ON orders(currency);
+
+DROP TRIGGER IF EXISTS update_exchange_rates_updated_at ON exchange_rates;
+CREATE TRIGGER update_exchange_rates_updated_at
+    BEFORE UPDATE ON exchange_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_product_prices_updated_at ON product_prices;
+CREATE TRIGGER update_product_prices_updated_at
+    BEFORE UPDATE ON product_prices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,12 @@
+-- Payment reconciliation - what Stripe actually captured for each order,
+-- compared with the total the order was priced at
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_received DECIMAL(10,2);     -- paymentIntent.amount_received
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reconciliation_status VARCHAR(20)
+    CHECK (reconciliation_status IN ('matched', 'mismatched', 'resolved'));   -- NULL if never checked
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reconciliation_note TEXT;            -- Set by the admin who resolved a mismatch
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reconciled_by VARCHAR(255);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMP WITH TIME ZONE;
+
+-- Mismatched orders waiting for review
+CREATE INDEX IF NOT EXISTS idx_orders_reconciliation_mismatched ON orders(created_at)
+    WHERE reconciliation_status = 'mismatched';
@@ -0,0 +1,55 @@
+-- One order per Stripe payment intent, so order creation is idempotent.
+-- This DELETES orders: run it on a copy of production first and check the
+-- rows in duplicate_orders.
+--
+-- Remove duplicate orders recorded for the same payment intent (retries and
+-- double clicks before creation was idempotent). The earliest order is kept,
+-- unless a later duplicate has refunds against it. Stock the duplicates took
+-- is put back and their discount redemptions stop counting. Items, status
+-- history and redemptions go with the deleted orders (ON DELETE CASCADE).
+DROP TABLE IF EXISTS duplicate_orders;
+CREATE TEMP TABLE duplicate_orders AS
+SELECT id FROM (
+    SELECT o.id,
+           ROW_NUMBER() OVER (
+               PARTITION BY o.stripe_payment_intent_id
+               ORDER BY EXISTS (SELECT 1 FROM refunds r WHERE r.order_id = o.id) DESC, o.created_at, o.id
+           ) AS position
+    FROM orders o
+) ranked
+WHERE position > 1
+  AND NOT EXISTS (SELECT 1 FROM refunds r WHERE r.order_id = ranked.id);
+
+WITH returned AS (
+    SELECT a.product_id, -SUM(a.quantity_change)::int AS quantity
+    FROM inventory_adjustments a
+    JOIN duplicate_orders d ON d.id = a.order_id
+    WHERE a.reason = 'sale'
+    GROUP BY a.product_id
+), restocked AS (
+    UPDATE products p
+    SET stock_quantity = p.stock_quantity + returned.quantity
+    FROM returned
+    WHERE p.id = returned.product_id
+    RETURNING p.id, p.stock_quantity, returned.quantity
+)
+INSERT INTO inventory_adjustments (product_id, quantity_change, quantity_after, reason, note, created_by)
+SELECT id, quantity, stock_quantity, 'correction', 'Duplicate order removed', 'system'
+FROM restocked;
+
+UPDATE discount_codes d
+SET times_used = GREATEST(d.times_used - duplicates.count, 0)
+FROM (
+    SELECT r.discount_code_id, COUNT(*)::int AS count
+    FROM discount_redemptions r
+    JOIN duplicate_orders o ON o.id = r.order_id
+    GROUP BY r.discount_code_id
+) duplicates
+WHERE d.id = duplicates.discount_code_id;
+
+DELETE FROM orders WHERE id IN (SELECT id FROM duplicate_orders);
+DROP TABLE duplicate_orders;
+
+-- Fails if two orders for one payment intent both have refunds; merge those by hand
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_stripe_payment_intent_unique ON orders(stripe_payment_intent_id);
+DROP INDEX IF EXISTS idx_orders_stripe_payment_intent;
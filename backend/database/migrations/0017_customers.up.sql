@@ -0,0 +1,61 @@
+-- Customer accounts - passwordless (sign-in links are emailed), with order
+-- history and saved shipping addresses. Orders are linked to a customer by
+-- email, trimmed and lower-cased.
+CREATE TABLE IF NOT EXISTS customers (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,             -- Trimmed and lower-cased
+    name VARCHAR(255),
+    last_sign_in_at TIMESTAMP WITH TIME ZONE,       -- NULL until the customer first signs in
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Emailed sign-in links. Only a hash of the link token is stored; each link
+-- works once.
+CREATE TABLE IF NOT EXISTS customer_sign_in_links (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,            -- SHA-256 of the token in the link
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_sign_in_links_email ON customer_sign_in_links(email, created_at);
+
+-- Shipping addresses, offered to prefill checkout. Addresses from new orders
+-- are saved automatically.
+CREATE TABLE IF NOT EXISTS customer_addresses (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    address TEXT NOT NULL,
+    city VARCHAR(100),
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(10),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer_id ON customer_addresses(customer_id);
+-- At most one default address per customer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default ON customer_addresses(customer_id) WHERE is_default;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+
+-- Order history, newest first
+CREATE INDEX IF NOT EXISTS idx_orders_customer_id ON orders(customer_id, created_at DESC, id DESC);
+
+DROP TRIGGER IF EXISTS update_customers_updated_at ON customers;
+CREATE TRIGGER update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_customer_addresses_updated_at ON customer_addresses;
+CREATE TRIGGER update_customer_addresses_updated_at
+    BEFORE UPDATE ON customer_addresses
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
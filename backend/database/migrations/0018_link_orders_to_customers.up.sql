@@ -0,0 +1,24 @@
+-- Link orders placed before accounts existed: one customer per email, named
+-- after their latest order
+INSERT INTO customers (email, name)
+SELECT DISTINCT ON (LOWER(TRIM(customer_email))) LOWER(TRIM(customer_email)), customer_name
+FROM orders
+WHERE customer_id IS NULL
+ORDER BY LOWER(TRIM(customer_email)), created_at DESC
+ON CONFLICT (email) DO NOTHING;
+
+UPDATE orders o
+SET customer_id = c.id
+FROM customers c
+WHERE o.customer_id IS NULL
+  AND c.email = LOWER(TRIM(o.customer_email));
+
+-- Each linked customer's latest shipping address becomes their default
+INSERT INTO customer_addresses (customer_id, name, address, city, region, postal_code, country, is_default)
+SELECT DISTINCT ON (o.customer_id)
+       o.customer_id, o.customer_name, o.customer_address, o.customer_city, o.customer_region,
+       o.customer_postal_code, o.customer_country, TRUE
+FROM orders o
+WHERE o.customer_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM customer_addresses a WHERE a.customer_id = o.customer_id)
+ORDER BY o.customer_id, o.created_at DESC;
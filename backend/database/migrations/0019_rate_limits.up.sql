@@ -0,0 +1,10 @@
+-- Request counts for rate limiting with RATE_LIMIT_STORE=postgres, shared by
+-- every server instance (see middleware/rateLimit.js). One row per limited
+-- key and window; rows whose window has ended are deleted by a sweep.
+CREATE TABLE IF NOT EXISTS rate_limits (
+    rate_key VARCHAR(200) PRIMARY KEY,              -- e.g. newsletter:email:<sha256>
+    hits INTEGER NOT NULL,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL      -- end of the current window
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
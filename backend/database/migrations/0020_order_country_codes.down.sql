@@ -0,0 +1,2 @@
+-- The country codes stay upper-case; only the index is removed
+DROP INDEX IF EXISTS idx_orders_customer_country;
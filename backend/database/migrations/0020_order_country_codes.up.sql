@@ -0,0 +1,8 @@
+-- Shipping countries are stored upper-case from now on (OrderService.createOrder),
+-- so the admin order filter can compare them directly and use an index.
+-- Normalize the ones written before.
+UPDATE orders
+SET customer_country = NULLIF(UPPER(TRIM(customer_country)), '')
+WHERE customer_country IS DISTINCT FROM NULLIF(UPPER(TRIM(customer_country)), '');
+
+CREATE INDEX IF NOT EXISTS idx_orders_customer_country ON orders(customer_country);
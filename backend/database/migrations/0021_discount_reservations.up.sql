@@ -0,0 +1,22 @@
+-- Discount code uses held for a payment intent between checkout and payment,
+-- like stock_reservations, so concurrent checkouts can't redeem a code more
+-- times than its usage limits allow. Converted when the order is saved.
+CREATE TABLE IF NOT EXISTS discount_reservations (
+    id SERIAL PRIMARY KEY,
+    stripe_payment_intent_id VARCHAR(100) NOT NULL UNIQUE,
+    discount_code_id INTEGER NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+    customer_email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',   -- active, converted, released, expired
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_discount_reservations_active
+    ON discount_reservations(discount_code_id, expires_at) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_discount_reservations_updated_at ON discount_reservations;
+CREATE TRIGGER update_discount_reservations_updated_at
+    BEFORE UPDATE ON discount_reservations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- How long an Idempotency-Key request in progress keeps its claim. The
+-- request renews it while it runs; a retry takes over a claim whose lease ran
+-- out (the process handling it died). NULL on rows claimed before this.
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
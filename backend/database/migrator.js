@@ -0,0 +1,265 @@
+// Migration runner - applies the numbered SQL files in database/migrations in
+// order and records each one in schema_migrations, so every environment knows
+// which have run. Files are named <version>_<name>.up.sql, with an optional
+// <version>_<name>.down.sql that undoes it.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Statements such as CREATE INDEX CONCURRENTLY can't run in a transaction;
+// a migration starting with this comment runs without one
+const NO_TRANSACTION = /^\s*--\s*migrate:no-transaction\b/;
+
+const LOCK_NAME = 'kk-beauty:schema-migrations';
+
+// The baseline creates the orders tables, so undoing it would drop every order:
+// it has no down script and `down` refuses to roll it back
+const BASELINE_VERSION = '0001';
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+// Migrations on disk, oldest first: { version, name, up, down } where up and
+// down are { sql, checksum } (down is null if the migration can't be undone)
+const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  for (const file of (await fs.readdir(directory)).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}`);
+    }
+
+    const sql = await fs.readFile(path.join(directory, file), 'utf8');
+    migration[direction] = { sql, checksum: checksum(sql) };
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up) {
+      throw new Error(`Migration ${label(migration)} has a down script but no up script`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+// schema_migrations rows keyed by version (empty if the table doesn't exist
+// yet, so a dry run doesn't have to create it)
+const loadApplied = async (client) => {
+  const tableResult = await client.query("SELECT to_regclass('schema_migrations') AS name");
+  if (!tableResult.rows[0].name) {
+    return new Map();
+  }
+
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY applied_at, version');
+  return new Map(result.rows.map(row => [row.version, row]));
+};
+
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,                     -- SHA-256 of the up script as applied
+      duration_ms INTEGER,
+      applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+  )
+`);
+
+// Run `fn` with a client holding the migration lock. Instances starting
+// together queue here, and the later ones find nothing left to apply.
+const withLock = async (fn, log) => {
+  const client = await pool.connect();
+
+  try {
+    const lockResult = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [LOCK_NAME]);
+    if (!lockResult.rows[0].locked) {
+      log('⏳ Waiting for another migration run to finish...');
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_NAME]);
+    }
+
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_NAME]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Run one migration script and record (or remove) its schema_migrations row
+const runScript = async (client, migration, direction, record) => {
+  const script = migration[direction];
+  const inTransaction = !NO_TRANSACTION.test(script.sql);
+  const start = Date.now();
+
+  try {
+    if (inTransaction) {
+      await client.query('BEGIN');
+    }
+    await client.query(script.sql);
+    await record(Date.now() - start);
+    if (inTransaction) {
+      await client.query('COMMIT');
+    }
+  } catch (error) {
+    if (inTransaction) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    error.message = `${direction} migration ${label(migration)} failed: ${error.message}`;
+    throw error;
+  }
+
+  return Date.now() - start;
+};
+
+// Warn about applied migrations whose up script was edited or deleted since
+const checkApplied = (migrations, applied, log) => {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  for (const row of applied.values()) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      log(`⚠️  ${row.version}_${row.name} was applied but its file is missing`);
+    } else if (migration.up.checksum !== row.checksum) {
+      log(`⚠️  ${label(migration)} was changed after it was applied; add a new migration instead`);
+    }
+  }
+};
+
+// Apply pending migrations, oldest first, up to and including version `to`
+// (default all). Returns the migrations applied (or, for a dry run, that
+// would be).
+const migrateUp = async ({ to = null, dryRun = false, log = console.log } = {}) => {
+  const migrations = await loadMigrations();
+
+  return withLock(async (client) => {
+    if (!dryRun) {
+      await ensureMigrationsTable(client);
+    }
+    const applied = await loadApplied(client);
+    checkApplied(migrations, applied, log);
+
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === null || Number(migration.version) <= Number(to)));
+
+    if (pending.length === 0) {
+      log('✅ Database is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      if (dryRun) {
+        log(`↑ ${label(migration)} (dry run)`);
+        continue;
+      }
+
+      const duration = await runScript(client, migration, 'up', (durationMs) => client.query(
+        `INSERT INTO schema_migrations (version, name, checksum, duration_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.up.checksum, durationMs]
+      ));
+      log(`↑ ${label(migration)} (${duration}ms)`);
+    }
+
+    return pending;
+  }, log);
+};
+
+// Undo the latest `steps` applied migrations (default 1), or every one after
+// version `to`, newest first. Nothing is undone if any of them is the
+// baseline or has no down script.
+const migrateDown = async ({ steps = 1, to = null, dryRun = false, log = console.log } = {}) => {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withLock(async (client) => {
+    const applied = [...(await loadApplied(client)).values()]
+      .sort((a, b) => Number(b.version) - Number(a.version));
+
+    const targets = to === null
+      ? applied.slice(0, steps)
+      : applied.filter(row => Number(row.version) > Number(to));
+
+    if (targets.length === 0) {
+      log('✅ Nothing to roll back');
+      return [];
+    }
+
+    const rollbacks = targets.map(row => {
+      const migration = byVersion.get(row.version);
+      if (row.version === BASELINE_VERSION) {
+        throw new Error(`${row.version}_${row.name} is the baseline schema and is never rolled back (that would drop the orders tables); recreate the database instead`);
+      }
+      if (!migration || !migration.down) {
+        throw new Error(`${row.version}_${row.name} can't be rolled back: it has no down migration`);
+      }
+      return migration;
+    });
+
+    for (const migration of rollbacks) {
+      if (dryRun) {
+        log(`↓ ${label(migration)} (dry run)`);
+        continue;
+      }
+
+      const duration = await runScript(client, migration, 'down', () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      log(`↓ ${label(migration)} (${duration}ms)`);
+    }
+
+    return rollbacks;
+  }, log);
+};
+
+// Every migration on disk or in schema_migrations, oldest first, with its
+// state: applied, pending, changed (edited after it was applied) or missing
+// (applied, but its file is gone)
+const getStatus = async () => {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    const applied = await loadApplied(client);
+    const status = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) {
+        state = row.checksum === migration.up.checksum ? 'applied' : 'changed';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        reversible: Boolean(migration.down),
+        appliedAt: row ? row.applied_at : null
+      };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, state: 'missing', reversible: false, appliedAt: row.applied_at });
+      }
+    }
+
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { migrateUp, migrateDown, getStatus, loadMigrations };
@@ -1,10 +0,0 @@
--- Newsletter subscriptions table
-CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
-    id SERIAL PRIMARY KEY,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    subscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT TRUE
-);
-
--- Create index for better performance
-CREATE INDEX IF NOT EXISTS idx_newsletter_email ON newsletter_subscriptions(email);
@@ -2,14 +2,49 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const OrderService = require('./services/orderService');
 const NewsletterService = require('./services/newsletterService');
+const WebhookService = require('./services/webhookService');
+const ProductService = require('./services/productService');
+const PricingService = require('./services/pricingService');
+const InventoryService = require('./services/inventoryService');
+const AdminService = require('./services/adminService');
+const RefundService = require('./services/refundService');
+const NotificationService = require('./services/notificationService');
+const DiscountService = require('./services/discountService');
+const TaxService = require('./services/taxService');
+const ShippingService = require('./services/shippingService');
+const CurrencyService = require('./services/currencyService');
+const IdempotencyService = require('./services/idempotencyService');
+const OrderRecoveryService = require('./services/orderRecoveryService');
+const CustomerService = require('./services/customerService');
+const ExportService = require('./services/exportService');
+const ReportService = require('./services/reportService');
+const { requireAdmin, requirePermission, ROLE_PERMISSIONS } = require('./middleware/auth');
+const { idempotent } = require('./middleware/idempotency');
+const { requireCustomer, signedInCustomerId } = require('./middleware/customerAuth');
+const { requestContext } = require('./middleware/requestContext');
+const { httpMetrics } = require('./middleware/metrics');
+const { rateLimit, hasPerIpLimits } = require('./middleware/rateLimit');
+const { botCheck } = require('./middleware/botCheck');
+const { BASE_CURRENCY, toCents, fromCents } = require('./utils/money');
+const { estimateDelivery } = require('./utils/deliveryEstimate');
+const { generateOrderNumber, normalizeOrderNumber, isValidOrderNumber } = require('./utils/orderNumber');
+const { createFailureLimiter } = require('./utils/failureLimiter');
+const { createRateLimitStore } = require('./utils/rateLimitStores');
+const { issueChallenge } = require('./utils/proofOfWork');
+const { csvRow } = require('./utils/csv');
 const { pool } = require('./database/connection');
+const { logger } = require('./utils/logger');
+const { createCounter, renderMetrics, METRICS_CONTENT_TYPE } = require('./utils/metrics');
+const { createTransport } = require('./notifications/transports');
 
 // Validate environment variables
 const requiredEnvVars = {
   'DATABASE_URL': process.env.DATABASE_URL,
   'STRIPE_SECRET_KEY': process.env.STRIPE_SECRET_KEY,
+  'TOKEN_SECRET': process.env.TOKEN_SECRET,
   'FRONTEND_URL': process.env.FRONTEND_URL || 'http://localhost:3000'
 };
 
@@ -18,7 +53,23 @@ const missingVars = Object.entries(requiredEnvVars)
   .map(([key]) => key);
 
 if (missingVars.length > 0) {
-  console.error('❌ Missing required environment variables:', missingVars.join(', '));
+  logger.error('Missing required environment variables', { missing: missingVars });
+  process.exit(1);
+}
+
+// Paid orders that couldn't be saved are journaled to disk; in a container
+// the journal only survives a restart or redeploy on a mounted volume
+if (process.env.NODE_ENV === 'production' && !process.env.ORDER_JOURNAL_PATH && !process.env.RAILWAY_VOLUME_MOUNT_PATH) {
+  logger.error('Set ORDER_JOURNAL_PATH to a file on a persistent volume (or mount a Railway volume) so journaled orders survive restarts');
+  process.exit(1);
+}
+
+// Fail at startup rather than lose emails to a transport that can't deliver
+// (e.g. smtp, the production default, without SMTP_HOST)
+try {
+  createTransport();
+} catch (error) {
+  logger.error('Invalid email configuration', { error: error.message });
   process.exit(1);
 }
 
@@ -28,19 +79,55 @@ try {
   stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
   // Test the Stripe key by making a simple API call
   stripe.paymentIntents.list({ limit: 1 }).catch(error => {
-    console.error('❌ Invalid Stripe API key:', error.message);
+    logger.error('Invalid Stripe API key', { error: error.message });
     process.exit(1);
   });
 } catch (error) {
-  console.error('❌ Failed to initialize Stripe:', error.message);
+  logger.error('Failed to initialize Stripe', { error: error.message });
   process.exit(1);
 }
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Request IDs for log correlation (X-Request-Id) and a log line per request
+app.use(requestContext);
+app.use(httpMetrics);
+
+// Stripe webhook - registered before express.json() because the signature
+// is verified against the raw request body
+app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    logger.error('STRIPE_WEBHOOK_SECRET is not set, rejecting webhook');
+    return res.status(500).json({ error: 'Webhook endpoint is not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], webhookSecret);
+  } catch (error) {
+    logger.warn('Stripe webhook signature verification failed', { error: error.message });
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    await WebhookService.handleEvent(event);
+    res.json({ received: true });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the event later
+    logger.error('Error handling Stripe event', { eventType: event.type, eventId: event.id, error });
+    res.status(500).json({ error: 'Failed to process webhook event' });
+  }
+});
+
 // Middleware
 app.use(express.json());
+
+// Number of reverse proxies in front of the app (1 on Railway), so req.ip is
+// the client's address rather than the proxy's
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 0);
 const frontendUrl = process.env.FRONTEND_URL ? process.env.FRONTEND_URL.replace(/\/$/, '') : 'http://localhost:3000';
 
 app.use(cors({
@@ -52,58 +139,116 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Access-Control-Allow-Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: [
+    'Access-Control-Allow-Origin', 'Idempotent-Replayed', 'X-Request-Id',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'
+  ]
 }));
 
-if (process.env.NODE_ENV !== 'production') {
-  app.use((req, res, next) => {
-    console.log(`${req.method} ${req.path}`);
-    next();
-  });
-}
+// Request counts for the rate limits on public routes (RATE_LIMIT_STORE)
+const rateLimitStore = createRateLimitStore();
+
+// A DECIMAL amount from the database in the format of its currency
+// ("12.50", or "1250" for zero-decimal currencies like JPY)
+const formatMoney = (amount, currency) => (amount === null ? null : fromCents(toCents(amount, currency), currency));
+
+// A shipping method as offered to the customer, with its delivery estimate
+const formatShippingOption = (option, currency) => ({
+  id: option.id,
+  name: option.name,
+  amount: fromCents(option.shippingCents, currency),
+  ...estimateDelivery({ minDays: option.minTransitDays, maxDays: option.maxTransitDays })
+});
+
+// Shipping methods and costs for a cart, to show before payment
+app.post('/api/shipping/quote', async (req, res) => {
+  try {
+    const { items, customer = {}, discountCode, currency } = req.body;
+
+    if (!items) {
+      return res.status(400).json({ error: 'Missing required fields: items' });
+    }
+
+    const quote = await PricingService.quoteCart(items, {
+      currency,
+      discountCode,
+      email: customer.email,
+      address: customer
+    });
+
+    res.json({
+      success: true,
+      currency: quote.currency,
+      shippingMethods: quote.shippingOptions.map(option => ({
+        ...formatShippingOption(option, quote.currency),
+        // free_shipping discount codes zero every method
+        amount: fromCents(quote.freeShipping ? 0 : option.shippingCents, quote.currency)
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error quoting shipping', { error });
+    res.status(500).json({ error: 'Failed to quote shipping' });
+  }
+});
+
+const paymentIntentsCreated = createCounter({
+  name: 'payment_intents_created_total',
+  help: 'Stripe payment intents created for checkouts, by currency',
+  labelNames: ['currency']
+});
+
+const ordersBackupFallback = createCounter({
+  name: 'orders_backup_fallback_total',
+  help: 'Paid orders that could not be saved at checkout and were journaled for recovery'
+});
+
+// Every payment intent is a Stripe API call, so checkouts are limited per
+// client and per customer email
+const paymentIntentRateLimit = rateLimit({
+  name: 'payment-intent',
+  store: rateLimitStore,
+  perIp: process.env.RATE_LIMIT_PAYMENT_INTENT_IP || '30/15m',
+  perEmail: process.env.RATE_LIMIT_PAYMENT_INTENT_EMAIL || '15/15m',
+  email: (req) => req.body.customer?.email
+});
 
 // Create payment intent
-app.post('/api/create-payment-intent', async (req, res) => {
+app.post('/api/create-payment-intent', paymentIntentRateLimit, idempotent, async (req, res) => {
   try {
-    const { amount, currency = 'usd', items, customer } = req.body;
+    const { amount, currency, items, customer, discountCode, shippingMethodId } = req.body;
 
     // Validate required fields
-    if (!amount || !items || !customer) {
+    if (!items || !customer) {
       return res.status(400).json({ 
-        error: 'Missing required fields: amount, items, customer' 
+        error: 'Missing required fields: items, customer' 
       });
     }
 
-    // Validate items have proper price format
-    for (const item of items) {
-      if (!item.price) {
-        return res.status(400).json({
-          success: false,
-          error: `Item ${item.name || 'unknown'} is missing price`
-        });
-      }
-      
-      // Handle both string prices like "$60" and numeric prices
-      let numericPrice;
-      if (typeof item.price === 'string') {
-        numericPrice = parseFloat(item.price.replace('$', ''));
-      } else {
-        numericPrice = parseFloat(item.price);
-      }
-      
-      if (isNaN(numericPrice) || numericPrice <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: `Item price must be a positive number`
-        });
-      }
+    // Price the cart from the catalog; the client's amount is never charged
+    const quote = await PricingService.quoteCart(items, {
+      currency,
+      discountCode,
+      email: customer.email,
+      address: customer,
+      shippingMethodId
+    });
+
+    if (amount !== undefined && Math.round(amount) !== quote.totalCents) {
+      logger.warn('Client amount differs from catalog total, charging catalog total', { clientAmount: amount, totalCents: quote.totalCents });
     }
 
-    // Create payment intent
+    // Create payment intent. Stripe takes amounts in the currency's smallest
+    // unit, which is what quote.totalCents is (whole yen for JPY). The
+    // signed-in customer, if any, is recorded so only their own checkouts
+    // save addresses to their account.
+    const customerId = signedInCustomerId(req);
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount), // Ensure it's an integer
-      currency: currency,
+      amount: quote.totalCents,
+      currency: quote.currency.toLowerCase(),
       automatic_payment_methods: {
         enabled: true,
       },
@@ -112,29 +257,74 @@ app.post('/api/create-payment-intent', async (req, res) => {
         customerEmail: customer.email,
         customerAddress: customer.address,
         customerCity: customer.city || '',
+        customerRegion: customer.region || '',
         customerPostalCode: customer.postalCode || '',
         customerCountry: customer.country || '',
-        itemCount: items.length.toString(),
-        orderItems: JSON.stringify(items.map(item => ({
-          name: item.name,
-          quantity: item.quantity,
-          price: item.price
-        })))
+        customerId: customerId !== null ? String(customerId) : '',
+        itemCount: quote.lines.length.toString(),
+        orderItems: JSON.stringify(quote.lines.map(line => ({
+          product_id: line.productId,
+          quantity: line.quantity
+        }))),
+        discountCode: quote.discountCode || '',
+        exchangeRate: String(quote.exchangeRate),
+        shippingMethodId: quote.shippingMethod.id !== null ? String(quote.shippingMethod.id) : '',
+        shippingMinDays: String(quote.shippingMethod.minTransitDays),
+        shippingMaxDays: String(quote.shippingMethod.maxTransitDays)
       }
     });
 
-    // Log the payment intent creation
-    console.log('Payment Intent created:', paymentIntent.id);
-    console.log('Amount:', amount, 'Currency:', currency);
-    console.log('Customer:', customer.name, customer.email);
+    // Hold the stock and the discount code until the payment completes; if
+    // either can't be held, cancel the intent so the customer can't pay for
+    // unavailable items or a used-up code
+    let reservation;
+    try {
+      reservation = await InventoryService.reserveStock(paymentIntent.id, quote.lines);
+      if (quote.discountCode) {
+        await DiscountService.reserveRedemption(paymentIntent.id, { code: quote.discountCode, email: customer.email });
+      }
+    } catch (reservationError) {
+      await InventoryService.releaseReservation(paymentIntent.id).catch(() => {});
+      await stripe.paymentIntents.cancel(paymentIntent.id).catch(cancelError => {
+        logger.error('Failed to cancel payment intent after reservation error', { paymentIntentId: paymentIntent.id, error: cancelError.message });
+      });
+      throw reservationError;
+    }
+
+    paymentIntentsCreated.inc({ currency: quote.currency });
+    logger.info('Payment intent created', {
+      paymentIntentId: paymentIntent.id,
+      totalCents: quote.totalCents,
+      currency: quote.currency
+    });
 
     res.json({ 
       client_secret: paymentIntent.client_secret,
-      payment_intent_id: paymentIntent.id
+      payment_intent_id: paymentIntent.id,
+      amount: quote.totalCents,
+      currency: quote.currency,
+      subtotal: fromCents(quote.subtotalCents, quote.currency),
+      discountCode: quote.discountCode,
+      discountAmount: fromCents(quote.discountCents, quote.currency),
+      taxAmount: fromCents(quote.taxCents, quote.currency),
+      taxRate: quote.taxRate,
+      taxInclusive: quote.taxInclusive,
+      shippingMethod: formatShippingOption(quote.shippingMethod, quote.currency),
+      shippingAmount: fromCents(quote.shippingCents, quote.currency),
+      totalAmount: fromCents(quote.totalCents, quote.currency),
+      reservationExpiresAt: reservation.expiresAt
     });
 
   } catch (error) {
-    console.error('Error creating payment intent:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Error creating payment intent', { error });
     res.status(500).json({ 
       error: 'Failed to create payment intent',
       details: error.message 
@@ -143,58 +333,88 @@ app.post('/api/create-payment-intent', async (req, res) => {
 });
 
 // Handle successful payment
-app.post('/api/payment-success', async (req, res) => {
+app.post('/api/payment-success', idempotent, async (req, res) => {
   try {
-    const { paymentIntentId, items, customer, total } = req.body;
+    const { paymentIntentId, items, customer } = req.body;
 
     // Retrieve the payment intent to verify it was successful
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
     if (paymentIntent.status === 'succeeded') {
-      console.log('=== PAYMENT VERIFIED ===');
-      console.log('Payment ID:', paymentIntentId);
-      console.log('Customer:', customer.name, customer.email);
-      console.log('Items:', items);
-      console.log('Total:', total);
-      console.log('=======================');
+      logger.info('Payment verified', { paymentIntentId, amountReceivedCents: paymentIntent.amount_received });
+
+      // Prefer the cart recorded on the payment intent over the request body.
+      // Even then, the confirmation goes to the email the payment intent was
+      // created with, if it has one, not whatever the request body says.
+      const intentEmail = paymentIntent.metadata?.customerEmail || paymentIntent.receipt_email;
+      const orderData = OrderService.orderDataFromPaymentIntent(paymentIntent) || {
+        stripePaymentIntentId: paymentIntentId,
+        currency: paymentIntent.currency.toUpperCase(),
+        amountReceivedCents: paymentIntent.amount_received,
+        customer: intentEmail ? { ...customer, email: intentEmail } : customer,
+        items: items
+      };
 
       // Save order to PostgreSQL database
       try {
-        const orderResult = await OrderService.createOrder({
-          stripePaymentIntentId: paymentIntentId,
-          customer: customer,
-          items: items,
-          total: parseFloat(total)
-        });
+        // createOrder reconciles the captured amount against the order total
+        // and flags the order for review if they differ
+        const orderResult = await OrderService.createOrder(orderData);
 
-        console.log('✅ Order saved to database:', orderResult.orderId);
+        logger.info('Order saved to database', { orderId: orderResult.orderId, paymentIntentId });
 
         res.json({ 
           success: true,
           orderId: orderResult.orderId,
+          lookupToken: OrderService.createLookupToken(orderResult.orderId),
           paymentIntentId: paymentIntentId,
           message: orderResult.message,
-          customerEmail: customer.email,
+          customerEmail: orderData.customer.email,
           orderTotal: orderResult.totalAmount,
-          estimatedDelivery: '3-5 business days',
+          currency: orderResult.currency,
+          estimatedDelivery: orderResult.estimatedDelivery,
+          earliestDelivery: orderResult.earliestDelivery,
+          latestDelivery: orderResult.latestDelivery,
           orderDate: orderResult.createdAt
         });
 
       } catch (dbError) {
-        console.error('❌ Database error while saving order:', dbError);
+        logger.error('Database error while saving order', { paymentIntentId, error: dbError });
+        
+        // Even if DB fails, payment succeeded, so we should still respond positively.
+        // The order is journaled to disk and saved under the number given here
+        // once the database is back. Not stored for Idempotency-Key replays, so
+        // a retry can still record the order.
+        res.locals.skipIdempotencyStore = true;
+        ordersBackupFallback.inc();
+        let fallbackOrderId = generateOrderNumber();
+        
+        try {
+          const journaled = await OrderRecoveryService.enqueue(orderData, fallbackOrderId);
+          fallbackOrderId = journaled.orderNumber;
+        } catch (journalError) {
+          logger.error('Order could not be journaled, payment needs manual follow-up', { paymentIntentId, error: journalError });
+        }
         
-        // Even if DB fails, payment succeeded, so we should still respond positively
-        // but log the error for investigation
-        const fallbackOrderId = `KK-${Date.now().toString().slice(-6)}`;
+        // The amount charged and the shipping method's transit days, as
+        // priced when the payment intent was created - the database is out.
+        // Payment intents from before the days were recorded get 3-5 days.
+        const { shippingMinDays, shippingMaxDays } = paymentIntent.metadata || {};
+        const currency = paymentIntent.currency.toUpperCase();
         
         res.json({ 
           success: true,
           orderId: fallbackOrderId,
+          lookupToken: OrderService.createLookupToken(fallbackOrderId),
           paymentIntentId: paymentIntentId,
-          message: `Thank you ${customer.name}! Your payment was successful. Order details will be sent via email.`,
-          customerEmail: customer.email,
-          orderTotal: total,
-          estimatedDelivery: '3-5 business days',
+          message: `Thank you ${orderData.customer.name}! Your payment was successful. Order details will be sent via email.`,
+          customerEmail: orderData.customer.email,
+          orderTotal: fromCents(paymentIntent.amount_received, currency),
+          currency,
+          ...estimateDelivery({
+            minDays: shippingMinDays ? Number(shippingMinDays) : 3,
+            maxDays: shippingMaxDays ? Number(shippingMaxDays) : 5
+          }),
           warning: 'Order saved to backup system'
         });
       }
@@ -207,7 +427,7 @@ app.post('/api/payment-success', async (req, res) => {
     }
 
   } catch (error) {
-    console.error('Error handling payment success:', error);
+    logger.error('Error handling payment success', { error });
     res.status(500).json({ 
       error: 'Failed to process payment confirmation',
       details: error.message
@@ -215,69 +435,413 @@ app.post('/api/payment-success', async (req, res) => {
   }
 });
 
-// Get order by ID (for customer order lookup)
-app.get('/api/orders/:orderId', async (req, res) => {
+// An order as shown to its customer (from OrderService.getOrderById)
+const formatOrderDetails = (order) => ({
+  orderId: order.order_id,
+  status: order.order_status,
+  customerName: order.customer_name,
+  customerEmail: order.customer_email,
+  items: order.items,
+  subtotal: formatMoney(order.subtotal, order.currency),
+  discountCode: order.discount_code,
+  discountAmount: formatMoney(order.discount_amount, order.currency),
+  taxAmount: formatMoney(order.tax_amount, order.currency),
+  taxInclusive: order.tax_inclusive,
+  shippingMethod: order.shipping_method_name,
+  shippingAmount: formatMoney(order.shipping_amount, order.currency),
+  totalAmount: formatMoney(order.total_amount, order.currency),
+  currency: order.currency,
+  paymentStatus: order.payment_status,
+  refundedAmount: formatMoney(order.refunded_amount, order.currency),
+  netAmount: fromCents(toCents(order.total_amount, order.currency) - toCents(order.refunded_amount, order.currency), order.currency),
+  createdAt: order.created_at,
+  ...OrderService.deliveryEstimate(order)
+});
+
+// Failed order lookups (unknown order numbers, wrong emails or tokens) are
+// limited per client and per order number, so neither can be brute-forced.
+// They're counted in the rate limit store, shared by every instance with
+// RATE_LIMIT_STORE=postgres.
+const ORDER_LOOKUP_MAX_FAILURES = parseInt(process.env.ORDER_LOOKUP_MAX_FAILURES) || 10;
+const orderLookupLimiter = createFailureLimiter({
+  name: 'order-lookup',
+  store: rateLimitStore,
+  maxFailures: ORDER_LOOKUP_MAX_FAILURES,
+  windowMs: 15 * 60 * 1000
+});
+
+// All lookups, successful or not, are also limited per client
+const orderLookupRateLimit = rateLimit({
+  name: 'order-lookup',
+  store: rateLimitStore,
+  perIp: process.env.RATE_LIMIT_ORDER_LOOKUP_IP || '60/15m',
+  perEmail: process.env.RATE_LIMIT_ORDER_LOOKUP_EMAIL || 'off',
+  email: (req) => req.query.email
+});
+
+// Get order by ID (for customer order lookup). With the order's `email` or a
+// lookup `token` (from the payment-success response and order emails) the
+// whole order is returned; with the order number alone, only its progress.
+app.get('/api/orders/:orderId', orderLookupRateLimit, async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const order = await OrderService.getOrderById(orderId);
+    const orderId = normalizeOrderNumber(req.params.orderId);
+    const { email, token } = req.query;
+    const clientKey = `ip:${req.ip}`;
+    const orderKey = `order:${orderId}`;
+    
+    const retryAfter = Math.max(...await Promise.all([clientKey, orderKey].map(orderLookupLimiter.isBlocked)));
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed order lookups, try again later' });
+    }
+    
+    // Mistyped numbers fail their check character without a database lookup
+    const order = isValidOrderNumber(orderId) ? await OrderService.getOrderById(orderId) : null;
     
     if (!order) {
+      await orderLookupLimiter.recordFailure(clientKey);
       return res.status(404).json({ error: 'Order not found' });
     }
     
+    if (!email && !token) {
+      return res.json({
+        success: true,
+        access: 'limited',
+        order: {
+          orderId: order.order_id,
+          status: order.order_status,
+          paymentStatus: order.payment_status,
+          itemCount: order.items?.length || 0,
+          createdAt: order.created_at,
+          ...OrderService.deliveryEstimate(order)
+        }
+      });
+    }
+    
+    if (!OrderService.canViewOrder(order, { email, token })) {
+      await Promise.all([clientKey, orderKey].map(orderLookupLimiter.recordFailure));
+      return res.status(403).json({ error: token ? 'Invalid or expired order link' : 'Email does not match this order' });
+    }
+    
     res.json({
       success: true,
-      order: {
-        orderId: order.order_id,
-        status: order.order_status,
-        customerName: order.customer_name,
-        customerEmail: order.customer_email,
-        items: order.items,
-        subtotal: order.subtotal,
-        taxAmount: order.tax_amount,
-        totalAmount: order.total_amount,
-        createdAt: order.created_at,
-        estimatedDelivery: '3-5 business days'
-      }
+      access: 'full',
+      order: formatOrderDetails(order)
     });
   } catch (error) {
-    console.error('Error fetching order:', error);
+    logger.error('Error fetching order', { error });
     res.status(500).json({ error: 'Failed to fetch order' });
   }
 });
 
-// Get recent orders (admin endpoint)
-app.get('/api/admin/orders', async (req, res) => {
+const formatCustomer = (customer) => ({
+  id: customer.id,
+  email: customer.email,
+  name: customer.name,
+  lastSignInAt: customer.last_sign_in_at,
+  createdAt: customer.created_at
+});
+
+const formatAddress = (address) => ({
+  id: address.id,
+  name: address.name,
+  address: address.address,
+  city: address.city,
+  region: address.region,
+  postalCode: address.postal_code,
+  country: address.country,
+  isDefault: address.is_default,
+  updatedAt: address.updated_at
+});
+
+// Email a customer sign-in link. The response is the same whether or not the
+// email has an account.
+app.post('/api/auth/sign-in-link', async (req, res) => {
+  try {
+    await CustomerService.requestSignInLink(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'Check your email for a sign-in link'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error sending sign-in link', { error });
+    res.status(500).json({ error: 'Failed to send sign-in link' });
+  }
+});
+
+// Exchange the token from a sign-in link for a customer bearer token
+app.post('/api/auth/sign-in', async (req, res) => {
+  try {
+    const result = await CustomerService.signIn(req.body.token);
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired sign-in link' });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      expiresIn: result.expiresIn,
+      customer: formatCustomer(result.customer)
+    });
+  } catch (error) {
+    logger.error('Error signing in customer', { error });
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// Every /api/me route requires a signed-in customer
+app.use('/api/me', requireCustomer);
+
+// Current customer, with saved addresses. `checkoutCustomer` is the default
+// address in the shape /api/create-payment-intent takes, to prefill checkout.
+app.get('/api/me', async (req, res) => {
+  try {
+    const addresses = await CustomerService.getAddresses(req.customer.id);
+    const defaultAddress = addresses.find(address => address.is_default);
+
+    res.json({
+      success: true,
+      customer: formatCustomer(req.customer),
+      addresses: addresses.map(formatAddress),
+      checkoutCustomer: {
+        name: defaultAddress?.name || req.customer.name,
+        email: req.customer.email,
+        address: defaultAddress?.address || null,
+        city: defaultAddress?.city || null,
+        region: defaultAddress?.region || null,
+        postalCode: defaultAddress?.postal_code || null,
+        country: defaultAddress?.country || null
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching customer', { error });
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+app.put('/api/me', async (req, res) => {
+  try {
+    const customer = await CustomerService.updateProfile(req.customer.id, { name: req.body.name });
+
+    res.json({
+      success: true,
+      customer: formatCustomer(customer)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error updating customer', { error });
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+// The customer's orders, newest first (?limit=, then ?cursor= from nextCursor)
+app.get('/api/me/orders', async (req, res) => {
+  try {
+    const { orders, nextCursor } = await OrderService.getOrdersForCustomer(req.customer.id, {
+      limit: Math.max(1, Math.min(parseInt(req.query.limit) || 10, 50)),
+      cursor: req.query.cursor || null
+    });
+
+    res.json({
+      success: true,
+      orders: orders.map(formatOrderDetails),
+      nextCursor
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error fetching customer orders', { error });
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+app.get('/api/me/addresses', async (req, res) => {
+  try {
+    const addresses = await CustomerService.getAddresses(req.customer.id);
+
+    res.json({
+      success: true,
+      addresses: addresses.map(formatAddress)
+    });
+  } catch (error) {
+    logger.error('Error fetching addresses', { error });
+    res.status(500).json({ error: 'Failed to fetch addresses' });
+  }
+});
+
+app.post('/api/me/addresses', async (req, res) => {
+  try {
+    const address = await CustomerService.saveAddress(req.customer.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      address: formatAddress(address)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error saving address', { error });
+    res.status(500).json({ error: 'Failed to save address' });
+  }
+});
+
+app.put('/api/me/addresses/:addressId', async (req, res) => {
+  try {
+    const addressId = parseInt(req.params.addressId);
+    const address = addressId ? await CustomerService.saveAddress(req.customer.id, req.body, addressId) : null;
+
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    res.json({
+      success: true,
+      address: formatAddress(address)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error saving address', { error });
+    res.status(500).json({ error: 'Failed to save address' });
+  }
+});
+
+app.delete('/api/me/addresses/:addressId', async (req, res) => {
+  try {
+    const addressId = parseInt(req.params.addressId);
+    const deleted = addressId ? await CustomerService.deleteAddress(req.customer.id, addressId) : false;
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting address', { error });
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+// Password guessing is limited per client and per admin email. Every attempt
+// counts, so a successful login doesn't reset the window.
+const adminLoginRateLimit = rateLimit({
+  name: 'admin-login',
+  store: rateLimitStore,
+  perIp: process.env.RATE_LIMIT_ADMIN_LOGIN_IP || '20/15m',
+  perEmail: process.env.RATE_LIMIT_ADMIN_LOGIN_EMAIL || '10/15m',
+  email: (req) => req.body.email
+});
+
+// Admin login - exchanges email/password for a signed bearer token
+app.post('/api/admin/login', adminLoginRateLimit, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const { token, expiresIn, admin } = await AdminService.login(email, password);
+
+    res.json({
+      success: true,
+      token,
+      tokenType: 'Bearer',
+      expiresIn,
+      admin: {
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+        permissions: ROLE_PERMISSIONS[admin.role]
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error during admin login', { error });
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Every other /api/admin route requires an authenticated admin
+app.use('/api/admin', requireAdmin);
+
+// Current admin (admin endpoint)
+app.get('/api/admin/me', (req, res) => {
+  res.json({
+    success: true,
+    admin: {
+      ...req.admin,
+      permissions: ROLE_PERMISSIONS[req.admin.role]
+    }
+  });
+});
+
+// Search and page through orders (admin endpoint)
+app.get('/api/admin/orders', requirePermission('orders:read'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const orders = await OrderService.getRecentOrders(limit);
+    const { status, paymentStatus, from, to, country, currency, minTotal, maxTotal, q } = req.query;
+    const filters = { status, paymentStatus, from, to, country, currency, minTotal, maxTotal, q };
+    const { orders, nextCursor, totalCount } = await OrderService.listOrders(
+      filters,
+      {
+        sort: req.query.sort || '-createdAt',
+        limit: Math.max(1, Math.min(parseInt(req.query.limit) || 10, 100)),
+        cursor: req.query.cursor || null
+      }
+    );
+    const totals = await OrderService.getOrderTotalsByCurrency(filters);
     
     res.json({
       success: true,
+      totalCount,
+      nextCursor,
       orders: orders.map(order => ({
         orderId: order.order_id,
         customerName: order.customer_name,
         customerEmail: order.customer_email,
-        totalAmount: order.total_amount,
+        discountCode: order.discount_code,
+        totalAmount: formatMoney(order.total_amount, order.currency),
+        currency: order.currency,
+        amountReceived: formatMoney(order.amount_received, order.currency),
+        reconciliationStatus: order.reconciliation_status,
         status: order.order_status,
+        paymentStatus: order.payment_status,
+        country: order.customer_country,
         createdAt: order.created_at,
         itemCount: order.items?.length || 0,
-        items: order.items
+        items: order.items || []
+      })),
+      // Amounts in different currencies can't be added together
+      totalsByCurrency: totals.map(total => ({
+        currency: total.currency,
+        orderCount: total.order_count,
+        totalAmount: formatMoney(total.total_amount, total.currency),
+        baseCurrencyAmount: formatMoney(total.base_currency_amount, BASE_CURRENCY)
       }))
     });
   } catch (error) {
-    console.error('Error fetching orders:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error fetching orders', { error });
     res.status(500).json({ error: 'Failed to fetch orders' });
   }
 });
 
 // Update order status (admin endpoint)
-app.put('/api/admin/orders/:orderId/status', async (req, res) => {
+app.put('/api/admin/orders/:orderId/status', requirePermission('orders:write'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
-    const validStatuses = ['processing', 'shipped', 'delivered', 'cancelled'];
+    const validStatuses = Object.keys(OrderService.ORDER_STATUS_TRANSITIONS);
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ 
         error: 'Invalid status', 
@@ -285,7 +849,10 @@ app.put('/api/admin/orders/:orderId/status', async (req, res) => {
       });
     }
     
-    const updatedOrder = await OrderService.updateOrderStatus(orderId, status);
+    const updatedOrder = await OrderService.updateOrderStatus(orderId, status, {
+      actor: req.admin.email,
+      reason
+    });
     
     if (!updatedOrder) {
       return res.status(404).json({ error: 'Order not found' });
@@ -301,48 +868,1208 @@ app.put('/api/admin/orders/:orderId/status', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error updating order status:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    logger.error('Error updating order status', { error });
     res.status(500).json({ error: 'Failed to update order status' });
   }
 });
 
-// Newsletter subscription endpoint
-app.post('/api/newsletter/subscribe', async (req, res) => {
+// Get order status history (admin endpoint)
+app.get('/api/admin/orders/:orderId/history', requirePermission('orders:read'), async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ 
-        error: 'Email is required' 
-      });
+    const { orderId } = req.params;
+    const history = await OrderService.getOrderStatusHistory(orderId);
+    
+    if (!history) {
+      return res.status(404).json({ error: 'Order not found' });
     }
+    
+    res.json({
+      success: true,
+      orderId,
+      history: history.map(entry => ({
+        fromStatus: entry.from_status,
+        toStatus: entry.to_status,
+        actor: entry.actor,
+        reason: entry.reason,
+        changedAt: entry.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching order status history', { error });
+    res.status(500).json({ error: 'Failed to fetch order status history' });
+  }
+});
 
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ 
-        error: 'Invalid email format' 
-      });
+// Refund an order fully, or only some of its items (admin endpoint)
+app.post('/api/admin/orders/:orderId/refunds', requirePermission('refunds:write'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { items, reason } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ error: 'items must be an array of { orderItemId, quantity }' });
     }
 
-    const result = await NewsletterService.subscribe(email);
-    res.json(result);
+    const result = await RefundService.createRefund(orderId, {
+      items,
+      reason,
+      actor: req.admin.email
+    }, stripe);
 
-  } catch (error) {
-    console.error('Error in newsletter subscription:', error);
-    res.status(500).json({ 
-      error: 'Failed to subscribe to newsletter',
-      details: error.message 
+    if (!result) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      refund: {
+        id: result.refund.id,
+        stripeRefundId: result.refund.stripe_refund_id,
+        amount: formatMoney(result.refund.amount, result.currency),
+        currency: result.currency,
+        status: result.refund.status,
+        reason: result.refund.reason,
+        items: result.items.map(item => ({
+          orderItemId: item.orderItemId,
+          quantity: item.quantity,
+          amount: fromCents(item.amountCents, result.currency)
+        })),
+        createdAt: result.refund.created_at
+      },
+      order: {
+        orderId,
+        paymentStatus: result.paymentStatus,
+        refundedAmount: result.refundedAmount
+      }
     });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error creating refund', { error });
+    res.status(500).json({ error: 'Failed to create refund' });
   }
 });
 
-// Enhanced health check endpoint
-app.get('/api/health', async (req, res) => {
-  const health = {
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    services: {
+// List refunds for an order (admin endpoint)
+app.get('/api/admin/orders/:orderId/refunds', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const refunds = await RefundService.getRefundsForOrder(req.params.orderId);
+
+    res.json({
+      success: true,
+      refunds: refunds.map(refund => ({
+        id: refund.id,
+        stripeRefundId: refund.stripe_refund_id,
+        amount: formatMoney(refund.amount, refund.currency),
+        currency: refund.currency,
+        status: refund.status,
+        reason: refund.reason,
+        createdBy: refund.created_by,
+        items: refund.items.map(item => ({
+          orderItemId: item.order_item_id,
+          quantity: item.quantity,
+          amount: formatMoney(item.amount, refund.currency)
+        })),
+        createdAt: refund.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching refunds', { error });
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// Orders whose captured payment didn't match their total (admin endpoint)
+app.get('/api/admin/orders/reconciliation', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const validStatuses = ['mismatched', 'resolved'];
+    const status = req.query.status || 'mismatched';
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', validStatuses });
+    }
+
+    const orders = await OrderService.getReconciliationIssues(status, Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200)));
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        orderId: order.order_id,
+        customerName: order.customer_name,
+        customerEmail: order.customer_email,
+        paymentIntentId: order.stripe_payment_intent_id,
+        totalAmount: formatMoney(order.total_amount, order.currency),
+        amountReceived: formatMoney(order.amount_received, order.currency),
+        currency: order.currency,
+        paymentStatus: order.payment_status,
+        reconciliationStatus: order.reconciliation_status,
+        note: order.reconciliation_note,
+        resolvedBy: order.reconciled_by,
+        resolvedAt: order.reconciled_at,
+        createdAt: order.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching reconciliation issues', { error });
+    res.status(500).json({ error: 'Failed to fetch reconciliation issues' });
+  }
+});
+
+// Download orders or order lines for a date range as CSV or JSON Lines, for
+// bookkeeping (admin endpoint). Rows are written as they're read from the
+// database, so the response is streamed.
+app.get('/api/admin/orders/export', requirePermission('orders:read'), async (req, res) => {
+  const formats = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+  };
+  const format = formats[req.query.format || 'csv'];
+
+  if (!format) {
+    return res.status(400).json({ error: 'Invalid format', validFormats: Object.keys(formats) });
+  }
+
+  let orderExport;
+  try {
+    orderExport = ExportService.createOrderExport({
+      type: req.query.type || 'orders',
+      from: req.query.from || null,
+      to: req.query.to || null,
+      columns: req.query.columns ? String(req.query.columns).split(',').map(column => column.trim()) : null
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+  }
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  // Wait until the client has taken what was written so far. Whichever event
+  // fires removes both listeners, so long exports don't pile them up
+  const drained = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const fileName = `${req.query.type === 'items' ? 'order-items' : 'orders'}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+  res.set('Content-Type', format.contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  try {
+    if (format.extension === 'csv') {
+      res.write(csvRow(orderExport.columns));
+    }
+
+    for await (const batch of orderExport.rows()) {
+      if (closed) {
+        break;
+      }
+
+      const chunk = format.extension === 'csv'
+        ? batch.map(row => csvRow(orderExport.columns.map(column => row[column]))).join('')
+        : batch.map(row => `${JSON.stringify(row)}\n`).join('');
+
+      if (!res.write(chunk)) {
+        await drained();
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting orders', { error });
+    // Headers are already sent; cutting the connection tells the client the
+    // file is incomplete
+    res.destroy(error);
+  }
+});
+
+// Mark a payment mismatch as reviewed (admin endpoint)
+app.put('/api/admin/orders/:orderId/reconciliation', requirePermission('orders:write'), async (req, res) => {
+  try {
+    const order = await OrderService.resolveReconciliation(req.params.orderId, {
+      note: req.body.note,
+      actor: req.admin.email
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      order: {
+        orderId: order.order_id,
+        reconciliationStatus: order.reconciliation_status,
+        note: order.reconciliation_note,
+        resolvedBy: order.reconciled_by,
+        resolvedAt: order.reconciled_at
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error resolving reconciliation', { error });
+    res.status(500).json({ error: 'Failed to resolve reconciliation' });
+  }
+});
+
+const formatJournaledOrder = (entry) => ({
+  paymentIntentId: entry.paymentIntentId,
+  orderNumber: entry.orderNumber,
+  customerName: entry.orderData.customer?.name,
+  customerEmail: entry.orderData.customer?.email,
+  currency: entry.orderData.currency,
+  items: entry.orderData.items,
+  status: entry.status,
+  attempts: entry.attempts,
+  lastError: entry.lastError,
+  nextAttemptAt: entry.nextAttemptAt,
+  recoveredOrderId: entry.recoveredOrderId,
+  queuedAt: entry.queuedAt,
+  updatedAt: entry.updatedAt
+});
+
+// Paid orders waiting to be saved after a database failure (admin endpoint)
+app.get('/api/admin/orders/recovery', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const validStatuses = ['pending', 'failed', 'recovered'];
+    const status = req.query.status || null;
+
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', validStatuses });
+    }
+
+    const entries = await OrderRecoveryService.getEntries(status);
+
+    res.json({
+      success: true,
+      orders: entries.map(formatJournaledOrder)
+    });
+  } catch (error) {
+    logger.error('Error fetching journaled orders', { error });
+    res.status(500).json({ error: 'Failed to fetch journaled orders' });
+  }
+});
+
+// Replay a journaled order now, including one that gave up (admin endpoint)
+app.post('/api/admin/orders/recovery/:paymentIntentId/retry', requirePermission('orders:write'), async (req, res) => {
+  try {
+    const entry = await OrderRecoveryService.retry(req.params.paymentIntentId, { actor: req.admin.email });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Journaled order not found' });
+    }
+
+    await OrderRecoveryService.processJournal();
+
+    res.json({
+      success: true,
+      order: formatJournaledOrder(entry)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error retrying journaled order', { error });
+    res.status(500).json({ error: 'Failed to retry journaled order' });
+  }
+});
+
+// Email outbox for auditing deliveries (admin endpoint)
+app.get('/api/admin/emails', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const validStatuses = ['pending', 'sending', 'sent', 'failed'];
+    const status = req.query.status || null;
+
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', validStatuses });
+    }
+
+    const emails = await NotificationService.listOutbox({
+      status,
+      limit: Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200))
+    });
+
+    res.json({
+      success: true,
+      emails: emails.map(email => ({
+        id: email.id,
+        template: email.template,
+        to: email.to_email,
+        subject: email.subject,
+        orderId: email.order_number,
+        status: email.status,
+        attempts: email.attempts,
+        lastError: email.last_error,
+        nextAttemptAt: email.next_attempt_at,
+        sentAt: email.sent_at,
+        createdAt: email.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching email outbox', { error });
+    res.status(500).json({ error: 'Failed to fetch email outbox' });
+  }
+});
+
+// Report query parameters shared by every report: YYYY-MM-DD dates in
+// ?timezone= (default REPORT_TIMEZONE or UTC), `to` exclusive
+const reportRangeQuery = (req) => ({
+  from: req.query.from || null,
+  to: req.query.to || null,
+  timezone: req.query.timezone || null
+});
+
+const formatSalesFigures = (row, currency) => ({
+  orderCount: row.order_count,
+  grossRevenue: formatMoney(row.gross_revenue, currency),
+  refundedAmount: formatMoney(row.refunded_amount, currency),
+  netRevenue: formatMoney(row.net_revenue, currency)
+});
+
+// Revenue, order count and average order value per day, week or month, in
+// the base currency (admin endpoint)
+app.get('/api/admin/reports/sales', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const report = await ReportService.getSalesReport({
+      ...reportRangeQuery(req),
+      groupBy: req.query.groupBy || 'day'
+    });
+
+    res.json({
+      success: true,
+      currency: report.currency,
+      timezone: report.timezone,
+      groupBy: report.groupBy,
+      periods: report.periods.map(row => ({
+        period: row.period,
+        ...formatSalesFigures(row, report.currency),
+        averageOrderValue: formatMoney(row.average_order_value, report.currency)
+      })),
+      totals: {
+        ...formatSalesFigures(report.totals, report.currency),
+        averageOrderValue: formatMoney(report.totals.average_order_value, report.currency)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    res.status(500).json({ error: 'Failed to build sales report' });
+  }
+});
+
+// Best-selling products by ?sortBy=units or revenue (admin endpoint)
+app.get('/api/admin/reports/top-products', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const report = await ReportService.getTopProducts({
+      ...reportRangeQuery(req),
+      sortBy: req.query.sortBy || 'units',
+      limit: Math.max(1, Math.min(parseInt(req.query.limit) || 10, 100))
+    });
+
+    res.json({
+      success: true,
+      currency: report.currency,
+      timezone: report.timezone,
+      products: report.products.map(product => ({
+        productId: product.product_id,
+        sku: product.sku,
+        productName: product.product_name,
+        unitsSold: product.units_sold,
+        orderCount: product.order_count,
+        revenue: formatMoney(product.revenue, report.currency)
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    res.status(500).json({ error: 'Failed to build top products report' });
+  }
+});
+
+// Orders and revenue per ?by=country or status (admin endpoint)
+app.get('/api/admin/reports/breakdown', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const report = await ReportService.getBreakdown({
+      ...reportRangeQuery(req),
+      by: req.query.by || 'country'
+    });
+
+    res.json({
+      success: true,
+      currency: report.currency,
+      timezone: report.timezone,
+      by: report.by,
+      rows: report.rows.map(row => ({
+        [report.by]: row.key,
+        ...formatSalesFigures(row, report.currency)
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    res.status(500).json({ error: 'Failed to build breakdown report' });
+  }
+});
+
+// Shape a products row for API responses
+const formatProduct = (product) => ({
+  id: product.id,
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  isActive: product.is_active,
+  images: product.images,
+  stockQuantity: product.stock_quantity,
+  lowStockThreshold: product.low_stock_threshold,
+  weightGrams: product.weight_grams,
+  createdAt: product.created_at,
+  updatedAt: product.updated_at
+});
+
+// List active products (storefront catalog), priced in ?currency= (the base
+// currency by default)
+app.get('/api/products', async (req, res) => {
+  try {
+    const money = await CurrencyService.getConverter(req.query.currency);
+    const products = await ProductService.listProducts();
+    const prices = await CurrencyService.priceProducts(products, money);
+
+    res.json({
+      success: true,
+      currency: money.currency,
+      products: products.map(product => ({
+        ...formatProduct(product),
+        price: fromCents(prices.get(product.id), money.currency)
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error fetching products', { error });
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// List products including inactive ones (admin endpoint)
+app.get('/api/admin/products', requirePermission('products:read'), async (req, res) => {
+  try {
+    const products = await ProductService.listProducts({
+      includeInactive: req.query.includeInactive !== 'false'
+    });
+    res.json({ success: true, products: products.map(formatProduct) });
+  } catch (error) {
+    logger.error('Error fetching products', { error });
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// Get a single product (admin endpoint)
+app.get('/api/admin/products/:productId', requirePermission('products:read'), async (req, res) => {
+  try {
+    const product = await ProductService.getProductById(parseInt(req.params.productId));
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ success: true, product: formatProduct(product) });
+  } catch (error) {
+    logger.error('Error fetching product', { error });
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+});
+
+// Create product (admin endpoint)
+app.post('/api/admin/products', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await ProductService.createProduct(req.body);
+    res.status(201).json({ success: true, product: formatProduct(product) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error creating product', { error });
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// Update product (admin endpoint)
+app.put('/api/admin/products/:productId', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await ProductService.updateProduct(parseInt(req.params.productId), req.body);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ success: true, product: formatProduct(product) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error updating product', { error });
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// Deactivate product (admin endpoint) - kept in the table for order history
+app.delete('/api/admin/products/:productId', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await ProductService.deactivateProduct(parseInt(req.params.productId));
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Product ${product.sku} deactivated`,
+      product: formatProduct(product)
+    });
+  } catch (error) {
+    logger.error('Error deactivating product', { error });
+    res.status(500).json({ error: 'Failed to deactivate product' });
+  }
+});
+
+// Products at or below their low-stock threshold (admin endpoint)
+app.get('/api/admin/inventory/low-stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? parseInt(req.query.threshold) : null;
+
+    if (threshold !== null && isNaN(threshold)) {
+      return res.status(400).json({ error: 'threshold must be an integer' });
+    }
+
+    const products = await InventoryService.getLowStockProducts(threshold);
+
+    res.json({
+      success: true,
+      products: products.map(product => ({
+        ...formatProduct(product),
+        reservedQuantity: product.reserved_quantity,
+        availableQuantity: product.available_quantity
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching low stock products', { error });
+    res.status(500).json({ error: 'Failed to fetch low stock products' });
+  }
+});
+
+// Manually adjust a product's stock (admin endpoint)
+app.post('/api/admin/products/:productId/inventory/adjustments', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    const { quantityChange, reason, note } = req.body;
+
+    const result = isNaN(productId) ? null : await InventoryService.adjustStock(productId, {
+      quantityChange,
+      reason,
+      note,
+      createdBy: req.admin.email
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      product: formatProduct(result.product),
+      adjustment: {
+        id: result.adjustment.id,
+        quantityChange: result.adjustment.quantity_change,
+        quantityAfter: result.adjustment.quantity_after,
+        reason: result.adjustment.reason,
+        note: result.adjustment.note,
+        createdAt: result.adjustment.created_at
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error adjusting stock', { error });
+    res.status(500).json({ error: 'Failed to adjust stock' });
+  }
+});
+
+// Stock adjustment history for a product (admin endpoint)
+app.get('/api/admin/products/:productId/inventory/adjustments', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200));
+
+    const product = await ProductService.getProductById(productId);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const adjustments = await InventoryService.getAdjustmentHistory(productId, limit);
+
+    res.json({
+      success: true,
+      product: formatProduct(product),
+      adjustments: adjustments.map(adjustment => ({
+        id: adjustment.id,
+        quantityChange: adjustment.quantity_change,
+        quantityAfter: adjustment.quantity_after,
+        reason: adjustment.reason,
+        note: adjustment.note,
+        orderId: adjustment.order_number,
+        createdBy: adjustment.created_by,
+        createdAt: adjustment.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching inventory adjustments', { error });
+    res.status(500).json({ error: 'Failed to fetch inventory adjustments' });
+  }
+});
+
+const formatDiscount = (discount) => ({
+  id: discount.id,
+  code: discount.code,
+  description: discount.description,
+  type: discount.discount_type,
+  value: discount.value,
+  minOrderAmount: discount.min_order_amount,
+  productIds: discount.product_ids,
+  startsAt: discount.starts_at,
+  expiresAt: discount.expires_at,
+  usageLimit: discount.usage_limit,
+  usageLimitPerEmail: discount.usage_limit_per_email,
+  timesUsed: discount.times_used,
+  isActive: discount.is_active,
+  createdBy: discount.created_by,
+  createdAt: discount.created_at,
+  updatedAt: discount.updated_at
+});
+
+// Check a discount code against a cart and preview the discounted totals
+app.post('/api/discounts/validate', async (req, res) => {
+  try {
+    const { code, items, email, customer } = req.body;
+
+    if (!code || !items) {
+      return res.status(400).json({ error: 'Missing required fields: code, items' });
+    }
+
+    const quote = await PricingService.quoteCart(items, {
+      currency: req.body.currency,
+      discountCode: code,
+      email: email || customer?.email,
+      address: customer
+    });
+
+    res.json({
+      success: true,
+      valid: true,
+      discountCode: quote.discountCode,
+      freeShipping: quote.freeShipping,
+      currency: quote.currency,
+      subtotal: fromCents(quote.subtotalCents, quote.currency),
+      discountAmount: fromCents(quote.discountCents, quote.currency),
+      taxAmount: fromCents(quote.taxCents, quote.currency),
+      taxInclusive: quote.taxInclusive,
+      shippingAmount: fromCents(quote.shippingCents, quote.currency),
+      totalAmount: fromCents(quote.totalCents, quote.currency)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ valid: false, error: error.message, details: error.details });
+    }
+    logger.error('Error validating discount code', { error });
+    res.status(500).json({ error: 'Failed to validate discount code' });
+  }
+});
+
+// List discount codes (admin endpoint)
+app.get('/api/admin/discounts', requirePermission('discounts:read'), async (req, res) => {
+  try {
+    const discounts = await DiscountService.listDiscountCodes();
+    res.json({ success: true, discounts: discounts.map(formatDiscount) });
+  } catch (error) {
+    logger.error('Error fetching discount codes', { error });
+    res.status(500).json({ error: 'Failed to fetch discount codes' });
+  }
+});
+
+// Create discount code (admin endpoint)
+app.post('/api/admin/discounts', requirePermission('discounts:write'), async (req, res) => {
+  try {
+    const discount = await DiscountService.createDiscountCode(req.body, { actor: req.admin.email });
+    res.status(201).json({ success: true, discount: formatDiscount(discount) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error creating discount code', { error });
+    res.status(500).json({ error: 'Failed to create discount code' });
+  }
+});
+
+// Update discount code (admin endpoint)
+app.put('/api/admin/discounts/:discountId', requirePermission('discounts:write'), async (req, res) => {
+  try {
+    const discount = await DiscountService.updateDiscountCode(parseInt(req.params.discountId), req.body);
+
+    if (!discount) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+
+    res.json({ success: true, discount: formatDiscount(discount) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error updating discount code', { error });
+    res.status(500).json({ error: 'Failed to update discount code' });
+  }
+});
+
+// Deactivate discount code (admin endpoint) - kept for the orders that used it
+app.delete('/api/admin/discounts/:discountId', requirePermission('discounts:write'), async (req, res) => {
+  try {
+    const discount = await DiscountService.deactivateDiscountCode(parseInt(req.params.discountId));
+
+    if (!discount) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Discount code ${discount.code} deactivated`,
+      discount: formatDiscount(discount)
+    });
+  } catch (error) {
+    logger.error('Error deactivating discount code', { error });
+    res.status(500).json({ error: 'Failed to deactivate discount code' });
+  }
+});
+
+const formatTaxRule = (rule) => ({
+  id: rule.id,
+  country: rule.country,
+  region: rule.region,
+  postalPrefix: rule.postal_prefix,
+  name: rule.name,
+  rate: rule.rate,
+  isInclusive: rule.is_inclusive,
+  isActive: rule.is_active,
+  createdAt: rule.created_at,
+  updatedAt: rule.updated_at
+});
+
+// List tax rules (admin endpoint)
+app.get('/api/admin/tax-rules', requirePermission('tax:read'), async (req, res) => {
+  try {
+    const rules = await TaxService.listTaxRules();
+    res.json({ success: true, taxRules: rules.map(formatTaxRule) });
+  } catch (error) {
+    logger.error('Error fetching tax rules', { error });
+    res.status(500).json({ error: 'Failed to fetch tax rules' });
+  }
+});
+
+// Create tax rule (admin endpoint)
+app.post('/api/admin/tax-rules', requirePermission('tax:write'), async (req, res) => {
+  try {
+    const rule = await TaxService.createTaxRule(req.body);
+    res.status(201).json({ success: true, taxRule: formatTaxRule(rule) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error creating tax rule', { error });
+    res.status(500).json({ error: 'Failed to create tax rule' });
+  }
+});
+
+// Update tax rule (admin endpoint)
+app.put('/api/admin/tax-rules/:ruleId', requirePermission('tax:write'), async (req, res) => {
+  try {
+    const rule = await TaxService.updateTaxRule(parseInt(req.params.ruleId), req.body);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    res.json({ success: true, taxRule: formatTaxRule(rule) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error updating tax rule', { error });
+    res.status(500).json({ error: 'Failed to update tax rule' });
+  }
+});
+
+// Deactivate tax rule (admin endpoint)
+app.delete('/api/admin/tax-rules/:ruleId', requirePermission('tax:write'), async (req, res) => {
+  try {
+    const rule = await TaxService.deactivateTaxRule(parseInt(req.params.ruleId));
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    res.json({ success: true, message: `Tax rule ${rule.name} deactivated`, taxRule: formatTaxRule(rule) });
+  } catch (error) {
+    logger.error('Error deactivating tax rule', { error });
+    res.status(500).json({ error: 'Failed to deactivate tax rule' });
+  }
+});
+
+const formatShippingMethod = (method) => ({
+  id: method.id,
+  zoneId: method.zone_id,
+  name: method.name,
+  rateType: method.rate_type,
+  flatRate: method.flat_rate,
+  rateTiers: method.rate_tiers,
+  freeOverAmount: method.free_over_amount,
+  minTransitDays: method.min_transit_days,
+  maxTransitDays: method.max_transit_days,
+  sortOrder: method.sort_order,
+  isActive: method.is_active,
+  createdAt: method.created_at,
+  updatedAt: method.updated_at
+});
+
+const formatShippingZone = (zone) => ({
+  id: zone.id,
+  name: zone.name,
+  countries: zone.countries,
+  isActive: zone.is_active,
+  methods: zone.methods.map(formatShippingMethod),
+  createdAt: zone.created_at,
+  updatedAt: zone.updated_at
+});
+
+// List shipping zones and their methods (admin endpoint)
+app.get('/api/admin/shipping/zones', requirePermission('shipping:read'), async (req, res) => {
+  try {
+    const zones = await ShippingService.listZones();
+    res.json({ success: true, zones: zones.map(formatShippingZone) });
+  } catch (error) {
+    logger.error('Error fetching shipping zones', { error });
+    res.status(500).json({ error: 'Failed to fetch shipping zones' });
+  }
+});
+
+// Create shipping zone (admin endpoint)
+app.post('/api/admin/shipping/zones', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const zone = await ShippingService.createZone(req.body);
+    res.status(201).json({ success: true, zone: formatShippingZone(zone) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error creating shipping zone', { error });
+    res.status(500).json({ error: 'Failed to create shipping zone' });
+  }
+});
+
+// Update shipping zone (admin endpoint)
+app.put('/api/admin/shipping/zones/:zoneId', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const zone = await ShippingService.updateZone(parseInt(req.params.zoneId), req.body);
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Shipping zone not found' });
+    }
+
+    res.json({ success: true, zone: formatShippingZone(zone) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error updating shipping zone', { error });
+    res.status(500).json({ error: 'Failed to update shipping zone' });
+  }
+});
+
+// Add a shipping method to a zone (admin endpoint)
+app.post('/api/admin/shipping/zones/:zoneId/methods', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const method = await ShippingService.createMethod(parseInt(req.params.zoneId), req.body);
+
+    if (!method) {
+      return res.status(404).json({ error: 'Shipping zone not found' });
+    }
+
+    res.status(201).json({ success: true, method: formatShippingMethod(method) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error creating shipping method', { error });
+    res.status(500).json({ error: 'Failed to create shipping method' });
+  }
+});
+
+// Update shipping method (admin endpoint)
+app.put('/api/admin/shipping/methods/:methodId', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const method = await ShippingService.updateMethod(parseInt(req.params.methodId), req.body);
+
+    if (!method) {
+      return res.status(404).json({ error: 'Shipping method not found' });
+    }
+
+    res.json({ success: true, method: formatShippingMethod(method) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error updating shipping method', { error });
+    res.status(500).json({ error: 'Failed to update shipping method' });
+  }
+});
+
+// Currencies and per-currency product prices
+
+const formatExchangeRate = (rate) => ({
+  currency: rate.currency,
+  rate: Number(rate.rate),
+  updatedBy: rate.updated_by,
+  updatedAt: rate.updated_at
+});
+
+const formatProductPrice = (price) => ({
+  productId: price.product_id,
+  currency: price.currency,
+  price: formatMoney(price.price, price.currency),
+  updatedAt: price.updated_at
+});
+
+// List the base currency and exchange rates (admin endpoint)
+app.get('/api/admin/currencies', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { baseCurrency, rates } = await CurrencyService.listCurrencies();
+    res.json({ success: true, baseCurrency, currencies: rates.map(formatExchangeRate) });
+  } catch (error) {
+    logger.error('Error fetching currencies', { error });
+    res.status(500).json({ error: 'Failed to fetch currencies' });
+  }
+});
+
+// Create or update the exchange rate for a currency (admin endpoint)
+app.put('/api/admin/currencies/:currency', requirePermission('products:write'), async (req, res) => {
+  try {
+    const rate = await CurrencyService.setExchangeRate(req.params.currency, req.body.rate, req.admin.email);
+    res.json({ success: true, currency: formatExchangeRate(rate) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error saving exchange rate', { error });
+    res.status(500).json({ error: 'Failed to save exchange rate' });
+  }
+});
+
+// Stop accepting a currency at checkout (admin endpoint)
+app.delete('/api/admin/currencies/:currency', requirePermission('products:write'), async (req, res) => {
+  try {
+    const removed = await CurrencyService.removeExchangeRate(req.params.currency);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Currency not found' });
+    }
+
+    res.json({ success: true, message: 'Currency removed' });
+  } catch (error) {
+    logger.error('Error removing exchange rate', { error });
+    res.status(500).json({ error: 'Failed to remove currency' });
+  }
+});
+
+// List a product's per-currency prices (admin endpoint)
+app.get('/api/admin/products/:productId/prices', requirePermission('products:read'), async (req, res) => {
+  try {
+    const prices = await CurrencyService.listProductPrices(parseInt(req.params.productId));
+    res.json({ success: true, prices: prices.map(formatProductPrice) });
+  } catch (error) {
+    logger.error('Error fetching product prices', { error });
+    res.status(500).json({ error: 'Failed to fetch product prices' });
+  }
+});
+
+// Set a product's price in a currency, overriding the converted price (admin endpoint)
+app.put('/api/admin/products/:productId/prices/:currency', requirePermission('products:write'), async (req, res) => {
+  try {
+    const price = await CurrencyService.setProductPrice(parseInt(req.params.productId), req.params.currency, req.body.price);
+
+    if (!price) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ success: true, price: formatProductPrice(price) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    logger.error('Error saving product price', { error });
+    res.status(500).json({ error: 'Failed to save product price' });
+  }
+});
+
+// Remove a product's price in a currency, going back to the converted price (admin endpoint)
+app.delete('/api/admin/products/:productId/prices/:currency', requirePermission('products:write'), async (req, res) => {
+  try {
+    const removed = await CurrencyService.removeProductPrice(parseInt(req.params.productId), req.params.currency);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Product price not found' });
+    }
+
+    res.json({ success: true, message: 'Product price removed' });
+  } catch (error) {
+    logger.error('Error removing product price', { error });
+    res.status(500).json({ error: 'Failed to remove product price' });
+  }
+});
+
+// Newsletter signups are limited per client and per address. Optionally the
+// form can also carry a honeypot field (NEWSLETTER_HONEYPOT_FIELD) and a
+// proof of work (NEWSLETTER_POW_DIFFICULTY, from /api/newsletter/challenge).
+const NEWSLETTER_POW_DIFFICULTY = parseInt(process.env.NEWSLETTER_POW_DIFFICULTY) || 0;
+
+const newsletterRateLimit = rateLimit({
+  name: 'newsletter',
+  store: rateLimitStore,
+  perIp: process.env.RATE_LIMIT_NEWSLETTER_IP || '10/1h',
+  perEmail: process.env.RATE_LIMIT_NEWSLETTER_EMAIL || '3/1h',
+  email: (req) => req.body.email
+});
+
+const newsletterBotCheck = botCheck({
+  form: 'newsletter',
+  honeypotField: process.env.NEWSLETTER_HONEYPOT_FIELD,
+  powDifficulty: NEWSLETTER_POW_DIFFICULTY,
+  subject: (req) => String(req.body.email ?? ''),
+  decoyResponse: {
+    success: true,
+    status: 'pending',
+    message: 'Please check your email to confirm your subscription'
+  }
+});
+
+// Proof-of-work challenge for the newsletter form; difficulty 0 means none is
+// needed
+app.get('/api/newsletter/challenge', (req, res) => {
+  if (NEWSLETTER_POW_DIFFICULTY === 0) {
+    return res.json({ success: true, challenge: null, difficulty: 0 });
+  }
+  res.json({ success: true, ...issueChallenge(NEWSLETTER_POW_DIFFICULTY) });
+});
+
+// Newsletter subscription endpoint
+app.post('/api/newsletter/subscribe', newsletterRateLimit, newsletterBotCheck, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        error: 'Email is required' 
+      });
+    }
+
+    // Basic email validation
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ 
+        error: 'Invalid email format' 
+      });
+    }
+
+    const result = await NewsletterService.subscribe(email, {
+      source: req.body.source,
+      consentText: req.body.consentText,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Error in newsletter subscription', { error });
+    res.status(500).json({ 
+      error: 'Failed to subscribe to newsletter',
+      details: error.message 
+    });
+  }
+});
+
+// Newsletter confirmation link (from the double opt-in email)
+app.get('/api/newsletter/confirm', async (req, res) => {
+  try {
+    const result = await NewsletterService.confirm(req.query.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.redirect(`${frontendUrl}/#/newsletter?status=${result ? 'confirmed' : 'invalid'}`);
+  } catch (error) {
+    logger.error('Error confirming newsletter subscription', { error });
+    res.redirect(`${frontendUrl}/#/newsletter?status=error`);
+  }
+});
+
+// Newsletter unsubscribe link (GET from the email body, POST for RFC 8058 one-click)
+const handleNewsletterUnsubscribe = async (req, res) => {
+  try {
+    const result = await NewsletterService.unsubscribeWithToken(req.query.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (req.method === 'POST') {
+      return result
+        ? res.json(result)
+        : res.status(400).json({ error: 'Invalid or expired unsubscribe link' });
+    }
+
+    res.redirect(`${frontendUrl}/#/newsletter?status=${result ? 'unsubscribed' : 'invalid'}`);
+  } catch (error) {
+    logger.error('Error in newsletter unsubscription', { error });
+    if (req.method === 'POST') {
+      return res.status(500).json({ error: 'Failed to unsubscribe from newsletter' });
+    }
+    res.redirect(`${frontendUrl}/#/newsletter?status=error`);
+  }
+};
+
+app.get('/api/newsletter/unsubscribe', handleNewsletterUnsubscribe);
+app.post('/api/newsletter/unsubscribe', handleNewsletterUnsubscribe);
+
+// Enhanced health check endpoint
+app.get('/api/health', async (req, res) => {
+  const health = {
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    services: {
       server: 'running',
       stripe: 'unknown',
       database: 'unknown'
@@ -373,33 +2100,91 @@ app.get('/api/health', async (req, res) => {
   res.status(statusCode).json(health);
 });
 
+// Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a
+// bearer token; without it the endpoint is only served outside production.
+app.get('/metrics', (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+
+  if (metricsToken) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const expected = crypto.createHash('sha256').update(metricsToken).digest();
+    const given = crypto.createHash('sha256').update(scheme === 'Bearer' && token ? token : '').digest();
+    if (!crypto.timingSafeEqual(expected, given)) {
+      res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Metrics are disabled; set METRICS_TOKEN to enable them' });
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(renderMetrics());
+});
+
+// Background jobs
+// Mark expired stock and discount reservations once a minute (expired ones
+// already stop counting against stock and usage limits; this keeps their
+// status accurate)
+const reservationSweep = setInterval(() => {
+  InventoryService.expireReservations().catch(() => {});
+  DiscountService.expireReservations().catch(() => {});
+}, 60 * 1000);
+
+// Forget rate limit windows that have ended once a minute
+const rateLimitSweep = setInterval(() => {
+  rateLimitStore.purgeExpired().catch(() => {});
+}, 60 * 1000);
+
+// Forget expired Idempotency-Keys once an hour
+const idempotencyKeySweep = setInterval(() => {
+  IdempotencyService.purgeExpired().catch(() => {});
+}, 60 * 60 * 1000);
+
+// Deliver queued emails from the outbox
+const emailOutboxWorker = setInterval(() => {
+  NotificationService.processOutbox();
+}, parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 15000);
+
+// Save journaled orders once the database is back
+const orderRecoveryWorker = setInterval(() => {
+  OrderRecoveryService.processJournal();
+}, parseInt(process.env.ORDER_RECOVERY_INTERVAL_MS) || 30000);
+
 // Graceful shutdown handling
 const shutdown = async (signal) => {
-  console.log(`\n${signal} received. Starting graceful shutdown...`);
+  logger.info('Starting graceful shutdown', { signal });
+  
+  clearInterval(reservationSweep);
+  clearInterval(rateLimitSweep);
+  clearInterval(idempotencyKeySweep);
+  clearInterval(emailOutboxWorker);
+  clearInterval(orderRecoveryWorker);
   
   // Close server first to stop accepting new requests
   if (server) {
-    console.log('Closing HTTP server...');
+    logger.info('Closing HTTP server');
     await new Promise(resolve => server.close(resolve));
-    console.log('HTTP server closed.');
+    logger.info('HTTP server closed');
   }
 
   // Close database pool
   if (pool) {
-    console.log('Closing database pool...');
+    logger.info('Closing database pool');
     await pool.end();
-    console.log('Database pool closed.');
+    logger.info('Database pool closed');
   }
 
-  console.log('Graceful shutdown completed.');
+  logger.info('Graceful shutdown completed');
   process.exit(0);
 };
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`💳 Stripe integration ready`);
-  console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL}`);
+  logger.info('Server running', { port: PORT, frontendUrl: process.env.FRONTEND_URL });
+
+  if (process.env.NODE_ENV === 'production' && !app.get('trust proxy') && hasPerIpLimits()) {
+    logger.warn('TRUST_PROXY_HOPS is 0, so per-IP rate limits count every client behind the proxy as one; set it to the number of proxies in front of the app (1 on Railway)');
+  }
 });
 
 // Handle shutdown signals
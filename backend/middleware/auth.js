@@ -0,0 +1,96 @@
+// Admin authentication and role-based permission checks
+const AdminService = require('../services/adminService');
+const { verifyToken } = require('../utils/signedTokens');
+const { logger } = require('../utils/logger');
+
+// Permissions granted to each admin role
+const ROLE_PERMISSIONS = {
+  support: [
+    'orders:read',
+    'products:read',
+    'inventory:read',
+    'discounts:read',
+    'tax:read',
+    'shipping:read'
+  ],
+  operations: [
+    'orders:read',
+    'orders:write',
+    'refunds:write',
+    'products:read',
+    'products:write',
+    'inventory:read',
+    'inventory:write',
+    'discounts:read',
+    'discounts:write',
+    'tax:read',
+    'tax:write',
+    'shipping:read',
+    'shipping:write'
+  ]
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// 401 - no valid credentials were presented
+const unauthorized = (res, error) => {
+  res.set('WWW-Authenticate', 'Bearer realm="admin"');
+  return res.status(401).json({ error });
+};
+
+// Require a valid admin bearer token; loads the admin into req.admin
+const requireAdmin = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return unauthorized(res, 'Authentication required');
+  }
+
+  const payload = verifyToken(token, 'admin');
+  if (!payload) {
+    return unauthorized(res, 'Invalid or expired token');
+  }
+
+  try {
+    // Looked up on every request so deactivated admins lose access immediately
+    const admin = await AdminService.getAdminById(payload.sub);
+
+    if (!admin || !admin.is_active) {
+      return unauthorized(res, 'Invalid or expired token');
+    }
+
+    req.admin = {
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role
+    };
+    next();
+  } catch (error) {
+    logger.error('Error authenticating admin', { error });
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+// Require the authenticated admin's role to grant `permission` (403 otherwise)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin) {
+    return unauthorized(res, 'Authentication required');
+  }
+
+  if (!hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      requiredPermission: permission
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requireAdmin,
+  requirePermission
+};
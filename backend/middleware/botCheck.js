@@ -0,0 +1,31 @@
+// Bot checks for public forms - a honeypot field (hidden from people, so
+// only bots fill it in) and a proof of work (utils/proofOfWork.js). Both are
+// optional; a check is skipped when it isn't configured.
+const { verifySolution } = require('../utils/proofOfWork');
+const { createCounter } = require('../utils/metrics');
+
+const botChecksFailed = createCounter({
+  name: 'bot_checks_failed_total',
+  help: 'Form submissions rejected as bots, by form and check (honeypot or proof_of_work)',
+  labelNames: ['form', 'check']
+});
+
+// `subject(req)` gives the value a proof of work is tied to. A filled-in
+// honeypot gets `decoyResponse`, so the bot can't tell it was caught.
+const botCheck = ({ form, honeypotField, powDifficulty, subject, decoyResponse }) => (req, res, next) => {
+  const body = req.body || {};
+
+  if (honeypotField && body[honeypotField]) {
+    botChecksFailed.inc({ form, check: 'honeypot' });
+    return res.json(decoyResponse);
+  }
+
+  if (powDifficulty > 0 && !verifySolution(body.powChallenge, subject(req), body.powNonce, powDifficulty)) {
+    botChecksFailed.inc({ form, check: 'proof_of_work' });
+    return res.status(400).json({ error: 'Missing or invalid proof of work, request a new challenge' });
+  }
+
+  next();
+};
+
+module.exports = { botCheck };
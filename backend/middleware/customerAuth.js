@@ -0,0 +1,39 @@
+// Customer authentication for the /api/me endpoints
+const CustomerService = require('../services/customerService');
+const { verifyToken } = require('../utils/signedTokens');
+const { logger } = require('../utils/logger');
+
+const customerTokenPayload = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? verifyToken(token, 'customer') : null;
+};
+
+// Require a valid customer bearer token; loads the customer into req.customer
+const requireCustomer = async (req, res, next) => {
+  const payload = customerTokenPayload(req);
+  if (!payload) {
+    res.set('WWW-Authenticate', 'Bearer realm="customer"');
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+
+  try {
+    const customer = await CustomerService.getCustomerById(payload.sub);
+
+    if (!customer) {
+      res.set('WWW-Authenticate', 'Bearer realm="customer"');
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating customer', { error });
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+// The ID of the customer signed in with an optional bearer token, or null
+// for guests (including an invalid or expired token) - for routes open to both
+const signedInCustomerId = (req) => customerTokenPayload(req)?.sub ?? null;
+
+module.exports = { requireCustomer, signedInCustomerId };
@@ -0,0 +1,84 @@
+// Idempotency-Key support - a request repeated with the same key (a retry, a
+// double click) gets the stored response of the first one instead of being
+// processed again
+const crypto = require('crypto');
+const IdempotencyService = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+// Keys are scoped to the caller - their bearer token if they send one,
+// otherwise their IP address - since a replay returns the stored response
+// (e.g. a payment intent's client_secret) to whoever repeats the request.
+// Stored hashed, so a key can't be read back either.
+const scopedKey = (req, key) => {
+  const caller = req.get('Authorization') ? `auth:${req.get('Authorization')}` : `ip:${req.ip}`;
+  return crypto.createHash('sha256').update(`${caller}\n${key}`).digest('hex');
+};
+
+// Responses with a 5xx status aren't stored, so the request can be retried
+// with the same key. A handler can also opt out of storing a response by
+// setting res.locals.skipIdempotencyStore.
+const idempotent = async (req, res, next) => {
+  let key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+  }
+
+  key = scopedKey(req, key);
+
+  const endpoint = `${req.method} ${req.path}`;
+  let claim;
+
+  try {
+    claim = await IdempotencyService.begin(key, endpoint, req.body);
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+
+  if (!claim.claimed) {
+    if (!claim.sameRequest) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+    }
+    if (claim.record.status_code === null) {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.status_code).json(claim.record.response_body);
+  }
+
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  const stopRenewing = IdempotencyService.keepClaimed(key, endpoint);
+
+  // Store the response before sending it, so a retry arriving as soon as the
+  // client sees it is replayed rather than rejected as in progress
+  res.json = (body) => {
+    settled = true;
+    stopRenewing();
+    const store = res.statusCode < 500 && !res.locals.skipIdempotencyStore
+      ? IdempotencyService.complete(key, endpoint, res.statusCode, body)
+      : IdempotencyService.release(key, endpoint);
+
+    store.catch(() => {}).then(() => sendJson(body));
+    return res;
+  };
+
+  // Responses that never went through res.json (or a dropped connection)
+  // leave nothing to replay
+  res.on('close', () => {
+    stopRenewing();
+    if (!settled) {
+      IdempotencyService.release(key, endpoint).catch(() => {});
+    }
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
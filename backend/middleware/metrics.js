@@ -0,0 +1,39 @@
+// HTTP request metrics - counts and latency per route, labelled with the
+// route pattern (/api/orders/:orderId) rather than the URL, so there's one
+// series per endpoint
+const { createCounter, createHistogram } = require('../utils/metrics');
+
+const httpRequests = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests served, by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds, by method and route',
+  labelNames: ['method', 'route']
+});
+
+// The matched route pattern; requests answered by middleware before reaching
+// a route (e.g. a 401 from requireAdmin) are labelled with its mount path
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return req.baseUrl || 'unmatched';
+};
+
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+
+  next();
+};
+
+module.exports = { httpMetrics };
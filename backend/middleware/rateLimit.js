@@ -0,0 +1,101 @@
+// Rate limiting - caps how often one client (by IP address) and one email
+// address can call a route, counted in fixed windows in a rate limit store
+// (utils/rateLimitStores.js). Responses carry RateLimit-Limit,
+// RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers for the
+// limit closest to being reached; a request over a limit gets a 429 with
+// Retry-After.
+const { hashKey } = require('../utils/rateLimitStores');
+const { logger } = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+
+const rateLimitedRequests = createCounter({
+  name: 'rate_limited_requests_total',
+  help: 'Requests refused by a rate limit, by limit and what it counts (ip or email)',
+  labelNames: ['limit', 'by']
+});
+
+// Names of the limits counting requests per IP address
+const perIpLimits = new Set();
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "10/15m" -> { max: 10, windowMs: 900000 }; "off", "0" or nothing -> null
+const parseLimit = (setting) => {
+  const value = String(setting ?? 'off').trim().toLowerCase();
+  if (value === 'off' || value === '0') {
+    return null;
+  }
+
+  const match = /^(\d+)\/(\d*)([smhd])$/.exec(value);
+  if (!match || Number(match[1]) < 1 || match[2] === '0') {
+    throw new Error(`Invalid rate limit "${setting}" (expected requests/window, e.g. 10/15m or 100/1h, or off)`);
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2] || 1) * WINDOW_UNITS[match[3]] };
+};
+
+const normalizeEmail = (email) => (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+
+// Limit a route to `perIp` and `perEmail` requests per window (settings as
+// parsed by parseLimit), with `email(req)` giving the request's email address.
+// Requests without an email are only limited per IP.
+const rateLimit = ({ name, store, perIp, perEmail, email = () => null }) => {
+  const rules = [
+    { by: 'ip', limit: parseLimit(perIp), value: (req) => req.ip },
+    { by: 'email', limit: parseLimit(perEmail), value: (req) => normalizeEmail(email(req)) }
+  ].filter(rule => rule.limit);
+
+  if (rules.some(rule => rule.by === 'ip')) {
+    perIpLimits.add(name);
+  }
+
+  return async (req, res, next) => {
+    let counted;
+
+    try {
+      counted = await Promise.all(rules
+        .map(rule => ({ ...rule, key: rule.value(req) }))
+        .filter(rule => rule.key)
+        .map(async (rule) => {
+          const { hits, resetAt } = await store.hit(`${name}:${rule.by}:${hashKey(rule.key)}`, rule.limit.windowMs);
+          return { ...rule, hits, resetAt, remaining: Math.max(rule.limit.max - hits, 0) };
+        }));
+    } catch (error) {
+      // An unavailable store mustn't take the route down with it
+      logger.error('Rate limit store unavailable, request allowed', { limit: name, error });
+      return next();
+    }
+
+    if (counted.length === 0) {
+      return next();
+    }
+
+    // Report the exceeded limit that resets last, or else the one with the
+    // fewest requests left
+    const exceeded = counted.filter(rule => rule.hits > rule.limit.max);
+    const reported = exceeded.length > 0
+      ? exceeded.reduce((latest, rule) => (rule.resetAt > latest.resetAt ? rule : latest))
+      : counted.reduce((tightest, rule) => (rule.remaining < tightest.remaining ? rule : tightest));
+    const resetSeconds = Math.max(Math.ceil((reported.resetAt - Date.now()) / 1000), 0);
+
+    res.set({
+      'RateLimit-Limit': String(reported.limit.max),
+      'RateLimit-Remaining': String(reported.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${reported.limit.max};w=${reported.limit.windowMs / 1000}`
+    });
+
+    if (exceeded.length > 0) {
+      rateLimitedRequests.inc({ limit: name, by: reported.by });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Too many requests, try again later' });
+    }
+
+    next();
+  };
+};
+
+// Whether any limit counts per IP address - which needs `trust proxy` set
+// behind a proxy, or every client shares the proxy's address and its limit
+const hasPerIpLimits = () => perIpLimits.size > 0;
+
+module.exports = { rateLimit, parseLimit, hasPerIpLimits };
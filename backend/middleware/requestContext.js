@@ -0,0 +1,33 @@
+// Request correlation - every request gets an ID, taken from the
+// X-Request-Id header when the caller (or a proxy) sent a usable one, returned
+// in the response's X-Request-Id header and attached to every log line written
+// while handling it, down to service and database logs
+const crypto = require('crypto');
+const { logger, runWithLogContext } = require('../utils/logger');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithLogContext({ requestId }, () => {
+    // The path only - query strings can carry emails and tokens
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6)
+      });
+    });
+
+    next();
+  });
+};
+
+module.exports = { requestContext };
@@ -0,0 +1,161 @@
+// Email templates - each takes the template data and returns { subject, text, html }
+// plus optional extra `headers`
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Emails queued before orders had a currency are in USD
+const formatAmount = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(Number(amount));
+
+// Shared HTML wrapper so every email looks the same
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #b5838d;">KK Beauty</h2>
+    <h3>${escapeHtml(title)}</h3>
+    ${bodyHtml}
+    <p style="color: #999; font-size: 12px;">Questions about your order? Just reply to this email.</p>
+  </body>
+</html>`;
+
+const itemsText = (items, currency) => items
+  .map(item => `- ${item.name} x ${item.quantity}: ${formatAmount(item.total, currency)}`)
+  .join('\n');
+
+const itemsHtml = (items, currency) => `<table style="width: 100%; border-collapse: collapse;">
+  ${items.map(item => `<tr>
+    <td>${escapeHtml(item.name)} &times; ${item.quantity}</td>
+    <td style="text-align: right;">${escapeHtml(formatAmount(item.total, currency))}</td>
+  </tr>`).join('\n  ')}
+</table>`;
+
+// Link to the order page, for emails whose data has an orderUrl
+const orderLink = (data) => (data.orderUrl ? `<p><a href="${escapeHtml(data.orderUrl)}">View your order</a></p>` : '');
+
+const templates = {
+  // data: { orderId, customerName, items: [{ name, quantity, total }], currency, subtotal, discountCode,
+  //         discountAmount, taxAmount, taxInclusive, shippingAmount, totalAmount, orderUrl }
+  orderConfirmation: (data) => ({
+    subject: `Your KK Beauty order ${data.orderId} is confirmed`,
+    text: [
+      `Hi ${data.customerName},`,
+      '',
+      `Thank you for your order! We've received your payment and order ${data.orderId} is being processed.`,
+      '',
+      itemsText(data.items, data.currency),
+      '',
+      `Subtotal: ${formatAmount(data.subtotal, data.currency)}`,
+      data.discountCode ? `Discount (${data.discountCode}): -${formatAmount(data.discountAmount, data.currency)}` : null,
+      `${data.taxInclusive ? 'Tax (included)' : 'Tax'}: ${formatAmount(data.taxAmount, data.currency)}`,
+      `Shipping: ${formatAmount(data.shippingAmount, data.currency)}`,
+      `Total: ${formatAmount(data.totalAmount, data.currency)}`,
+      '',
+      "We'll email you again when it ships.",
+      data.orderUrl ? `View your order: ${data.orderUrl}` : null
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`Order ${data.orderId} confirmed`, `
+    <p>Hi ${escapeHtml(data.customerName)},</p>
+    <p>Thank you for your order! We've received your payment and your order is being processed.</p>
+    ${itemsHtml(data.items, data.currency)}
+    <p>
+      Subtotal: ${escapeHtml(formatAmount(data.subtotal, data.currency))}<br>
+      ${data.discountCode ? `Discount (${escapeHtml(data.discountCode)}): -${escapeHtml(formatAmount(data.discountAmount, data.currency))}<br>` : ''}
+      ${data.taxInclusive ? 'Tax (included)' : 'Tax'}: ${escapeHtml(formatAmount(data.taxAmount, data.currency))}<br>
+      Shipping: ${escapeHtml(formatAmount(data.shippingAmount, data.currency))}<br>
+      <strong>Total: ${escapeHtml(formatAmount(data.totalAmount, data.currency))}</strong>
+    </p>
+    <p>We'll email you again when it ships.</p>
+    ${orderLink(data)}`)
+  }),
+
+  // data: { orderId, customerName, orderUrl }
+  orderShipped: (data) => ({
+    subject: `Your KK Beauty order ${data.orderId} has shipped`,
+    text: [
+      `Hi ${data.customerName},`,
+      '',
+      `Good news! Order ${data.orderId} is on its way.`,
+      data.orderUrl ? `Track your order: ${data.orderUrl}` : null
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`Order ${data.orderId} has shipped`, `
+    <p>Hi ${escapeHtml(data.customerName)},</p>
+    <p>Good news! Your order is on its way.</p>
+    ${orderLink(data)}`)
+  }),
+
+  // data: { orderId, customerName, reason, orderUrl }
+  orderCancelled: (data) => ({
+    subject: `Your KK Beauty order ${data.orderId} has been cancelled`,
+    text: [
+      `Hi ${data.customerName},`,
+      '',
+      `Order ${data.orderId} has been cancelled.`,
+      data.reason ? `Reason: ${data.reason}` : null,
+      '',
+      'Any refund due will be issued to your original payment method.',
+      data.orderUrl ? `View your order: ${data.orderUrl}` : null
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`Order ${data.orderId} cancelled`, `
+    <p>Hi ${escapeHtml(data.customerName)},</p>
+    <p>Your order has been cancelled.</p>
+    ${data.reason ? `<p>Reason: ${escapeHtml(data.reason)}</p>` : ''}
+    <p>Any refund due will be issued to your original payment method.</p>
+    ${orderLink(data)}`)
+  }),
+
+  // data: { signInUrl, expiresInMinutes }
+  customerSignIn: (data) => ({
+    subject: 'Your KK Beauty sign-in link',
+    text: [
+      'Hi,',
+      '',
+      'Use this link to sign in to your KK Beauty account:',
+      data.signInUrl,
+      '',
+      `The link works once and expires in ${data.expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email.`
+    ].join('\n'),
+    html: layout('Sign in to KK Beauty', `
+    <p><a href="${escapeHtml(data.signInUrl)}">Sign in to your account</a></p>
+    <p>The link works once and expires in ${escapeHtml(data.expiresInMinutes)} minutes. If you didn't ask to sign in, you can ignore this email.</p>`)
+  }),
+
+  // data: { confirmUrl, unsubscribeUrl }
+  newsletterConfirmation: (data) => ({
+    subject: 'Please confirm your KK Beauty newsletter subscription',
+    text: [
+      'Hi,',
+      '',
+      'Someone (hopefully you) asked to subscribe this address to the KK Beauty newsletter.',
+      'Confirm your subscription here:',
+      data.confirmUrl,
+      '',
+      "If you didn't ask for this, ignore this email and you won't hear from us."
+    ].join('\n'),
+    html: layout('Confirm your subscription', `
+    <p>Someone (hopefully you) asked to subscribe this address to the KK Beauty newsletter.</p>
+    <p><a href="${escapeHtml(data.confirmUrl)}">Confirm my subscription</a></p>
+    <p>If you didn't ask for this, ignore this email and you won't hear from us.</p>`),
+    headers: {
+      'List-Unsubscribe': `<${data.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  })
+};
+
+// Render a template by name; throws for unknown templates
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = { renderTemplate, escapeHtml };
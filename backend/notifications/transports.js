@@ -0,0 +1,69 @@
+// Email transports - chosen with EMAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (nodemailer)
+//   file    - write each email to EMAIL_FILE_DIR (default ./tmp/emails) for local dev
+//   console - log that each email was sent, without its body (default outside
+//             production); bodies hold sign-in links, order tokens and addresses
+//
+// send(message, { template }) delivers one email.
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../utils/logger');
+
+const createSmtpTransport = () => {
+  // nodemailer would otherwise quietly try localhost
+  if (!process.env.SMTP_HOST) {
+    throw new Error('EMAIL_TRANSPORT smtp needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.EMAIL_FILE_DIR || './tmp/emails');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message, { template } = {}) => {
+    logger.info('Email sent (console transport)', { to: message.to, template, subject: message.subject });
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const createTransport = (name = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory();
+};
+
+module.exports = { createTransport };
@@ -0,0 +1,44 @@
+// Create an admin user for the /api/admin endpoints
+//
+// Usage:
+//   ADMIN_PASSWORD='a long password' npm run admin:create -- --email ops@example.com --role operations --name "Ops"
+//
+// Roles: support (read-only), operations (full access)
+require('dotenv').config();
+const AdminService = require('../services/adminService');
+const { pool } = require('../database/connection');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!args.email || !password) {
+    console.error('Usage: ADMIN_PASSWORD=... npm run admin:create -- --email <email> [--role support|operations] [--name <name>]');
+    process.exit(1);
+  }
+
+  try {
+    const admin = await AdminService.createAdmin({
+      email: args.email,
+      password,
+      role: args.role || 'support',
+      name: args.name || null
+    });
+    console.log(`✅ Created ${admin.role} admin ${admin.email}`);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message, error.details || '');
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createAdmin();
@@ -0,0 +1,61 @@
+// Apply or roll back database migrations (database/migrations)
+//
+// Usage:
+//   npm run migrate                                   Apply pending migrations
+//   npm run migrate -- up [--to 0003] [--dry-run]     Apply pending migrations up to a version
+//   npm run migrate -- down [--steps 1 | --to 0002] [--dry-run]
+//                                                     Roll back the latest migrations
+//   npm run migrate -- status                         List migrations and whether they've run
+require('dotenv').config();
+const { migrateUp, migrateDown, getStatus } = require('../database/migrator');
+const { pool } = require('../database/connection');
+
+const USAGE = 'Usage: npm run migrate -- [up [--to <version>] | down [--steps <n> | --to <version>] | status] [--dry-run]';
+
+const parseArgs = (argv) => {
+  const args = { command: 'up', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].replace(/^--/, '')] = argv[++i];
+    } else {
+      args.command = argv[i];
+    }
+  }
+  return args;
+};
+
+async function migrate() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    if (args.command === 'up') {
+      await migrateUp({ to: args.to || null, dryRun: args.dryRun });
+    } else if (args.command === 'down') {
+      const steps = args.steps === undefined ? 1 : parseInt(args.steps);
+      if (!(steps > 0)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      await migrateDown({ steps, to: args.to || null, dryRun: args.dryRun });
+    } else if (args.command === 'status') {
+      for (const migration of await getStatus()) {
+        const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+        const notes = migration.reversible ? '' : ' (no down)';
+        console.log(`${migration.state.padEnd(8)} ${migration.version}_${migration.name}${notes} ${appliedAt}`.trimEnd());
+      }
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrate();
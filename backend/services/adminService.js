@@ -0,0 +1,94 @@
+// Admin Service - Staff accounts and login for the /api/admin endpoints
+const { query } = require('../database/connection');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { signToken } = require('../utils/signedTokens');
+const { createHttpError } = require('../utils/httpError');
+const { logger } = require('../utils/logger');
+
+const ROLES = ['support', 'operations'];
+const TOKEN_TTL_HOURS = parseInt(process.env.ADMIN_TOKEN_TTL_HOURS) || 8;
+const MIN_PASSWORD_LENGTH = 12;
+
+// Verified against when the email is unknown, so response timing doesn't
+// reveal which admin emails exist
+const DUMMY_PASSWORD_HASH = 'scrypt$00000000000000000000000000000000$' + '0'.repeat(128);
+
+class AdminService {
+
+  // Check credentials and issue a signed admin token
+  static async login(email, password) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      throw createHttpError(400, 'Email and password are required');
+    }
+
+    try {
+      const result = await query(
+        'SELECT * FROM admin_users WHERE email = $1',
+        [email.trim().toLowerCase()]
+      );
+      const admin = result.rows[0];
+
+      const passwordMatches = await verifyPassword(password, admin ? admin.password_hash : DUMMY_PASSWORD_HASH);
+
+      if (!admin || !passwordMatches || !admin.is_active) {
+        throw createHttpError(401, 'Invalid email or password');
+      }
+
+      await query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [admin.id]);
+
+      const expiresInSeconds = TOKEN_TTL_HOURS * 60 * 60;
+      return {
+        token: signToken({ sub: admin.id, role: admin.role }, { purpose: 'admin', expiresInSeconds }),
+        expiresIn: expiresInSeconds,
+        admin
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error during admin login', { error });
+      }
+      throw error;
+    }
+  }
+
+  static async getAdminById(adminId) {
+    try {
+      const result = await query('SELECT * FROM admin_users WHERE id = $1', [adminId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching admin user', { error });
+      throw error;
+    }
+  }
+
+  static async createAdmin({ email, password, role = 'support', name = null }) {
+    if (typeof email !== 'string' || !email.includes('@')) {
+      throw createHttpError(400, 'A valid email is required');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw createHttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ROLES.includes(role)) {
+      throw createHttpError(400, 'Invalid role', { validRoles: ROLES });
+    }
+
+    try {
+      const result = await query(
+        `INSERT INTO admin_users (email, name, password_hash, role)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [email.trim().toLowerCase(), name, await hashPassword(password), role]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, `An admin with email ${email} already exists`);
+      }
+      logger.error('Error creating admin user', { error });
+      throw error;
+    }
+  }
+}
+
+AdminService.ROLES = ROLES;
+
+module.exports = AdminService;
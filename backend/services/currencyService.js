@@ -0,0 +1,212 @@
+// Currency Service - Exchange rates from the base currency, per-currency price
+// lists, and converting base-currency amounts for a checkout currency
+const { query } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { BASE_CURRENCY, currencyDecimals, toCents, fromCents, normalizeCurrency } = require('../utils/money');
+const { logger } = require('../utils/logger');
+
+const isPositiveAmount = (value) => value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) > 0;
+const isNonNegativeAmount = (value) => value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+// Validate an admin-supplied currency code; the base currency has no rate or price list
+const requireForeignCurrency = (currency, label) => {
+  const code = normalizeCurrency(currency);
+  if (!code) {
+    throw createHttpError(400, `Invalid ${label}`, ['currency must be a supported three-letter ISO 4217 code']);
+  }
+  if (code === BASE_CURRENCY) {
+    throw createHttpError(400, `Invalid ${label}`, [`${BASE_CURRENCY} is the base currency`]);
+  }
+  return code;
+};
+
+// Converter for the base currency itself
+const BASE_CONVERTER = {
+  currency: BASE_CURRENCY,
+  rate: 1,
+  fromBase: (amount) => toCents(amount, BASE_CURRENCY)
+};
+
+class CurrencyService {
+
+  // The base currency and every currency with an exchange rate
+  static async listCurrencies() {
+    try {
+      const result = await query('SELECT * FROM exchange_rates ORDER BY currency');
+      return {
+        baseCurrency: BASE_CURRENCY,
+        rates: result.rows
+      };
+    } catch (error) {
+      logger.error('Error listing exchange rates', { error });
+      throw error;
+    }
+  }
+
+  // Create or replace the rate for `currency`
+  static async setExchangeRate(currency, rate, updatedBy = null) {
+    const code = requireForeignCurrency(currency, 'exchange rate');
+    if (!isPositiveAmount(rate)) {
+      throw createHttpError(400, 'Invalid exchange rate', ['rate must be a positive number']);
+    }
+
+    try {
+      const result = await query(
+        `INSERT INTO exchange_rates (currency, rate, updated_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (currency) DO UPDATE SET rate = EXCLUDED.rate, updated_by = EXCLUDED.updated_by
+         RETURNING *`,
+        [code, Number(rate), updatedBy]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error saving exchange rate', { error });
+      throw error;
+    }
+  }
+
+  // Stop accepting `currency` at checkout. Returns false if it had no rate.
+  static async removeExchangeRate(currency) {
+    const code = normalizeCurrency(currency);
+    if (!code) {
+      return false;
+    }
+
+    try {
+      const result = await query('DELETE FROM exchange_rates WHERE currency = $1', [code]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error removing exchange rate', { error });
+      throw error;
+    }
+  }
+
+  // { currency, rate, fromBase(amount) } for checking out in `currency`, where
+  // fromBase converts a base-currency decimal amount to the checkout currency's
+  // smallest unit. Unknown currencies are rejected.
+  //
+  // `rate` overrides the stored rate - used for orders that were already
+  // charged at that rate, even if it has changed or been removed since.
+  static async getConverter(currency, { rate: fixedRate = null } = {}) {
+    const code = currency ? normalizeCurrency(currency) : BASE_CURRENCY;
+    if (!code) {
+      throw createHttpError(400, `Currency ${currency} is not supported`);
+    }
+    if (code === BASE_CURRENCY) {
+      return BASE_CONVERTER;
+    }
+
+    let rate = fixedRate > 0 ? Number(fixedRate) : null;
+
+    if (rate === null) {
+      try {
+        const result = await query('SELECT rate FROM exchange_rates WHERE currency = $1', [code]);
+        rate = result.rows[0] ? Number(result.rows[0].rate) : null;
+      } catch (error) {
+        logger.error('Error fetching exchange rate', { error });
+        throw error;
+      }
+    }
+
+    if (rate === null) {
+      throw createHttpError(400, `Currency ${code} is not supported`);
+    }
+
+    const scale = 10 ** currencyDecimals(code);
+    return {
+      currency: code,
+      rate,
+      fromBase: (amount) => Math.round(parseFloat(amount) * rate * scale)
+    };
+  }
+
+  // Price list entries for `productIds` in `currency`, as a Map of product id to price
+  static async getProductPrices(productIds, currency) {
+    if (currency === BASE_CURRENCY || productIds.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const result = await query(
+        'SELECT product_id, price FROM product_prices WHERE product_id = ANY($1::int[]) AND currency = $2',
+        [productIds, currency]
+      );
+      return new Map(result.rows.map(row => [row.product_id, row.price]));
+    } catch (error) {
+      logger.error('Error fetching product prices', { error });
+      throw error;
+    }
+  }
+
+  // Every price list entry for a product
+  static async listProductPrices(productId) {
+    try {
+      const result = await query(
+        'SELECT * FROM product_prices WHERE product_id = $1 ORDER BY currency',
+        [productId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing product prices', { error });
+      throw error;
+    }
+  }
+
+  // Create or replace a product's price in `currency`. Returns null if the
+  // product doesn't exist.
+  static async setProductPrice(productId, currency, price) {
+    const code = requireForeignCurrency(currency, 'product price');
+    if (!isNonNegativeAmount(price)) {
+      throw createHttpError(400, 'Invalid product price', ['price must be a non-negative number']);
+    }
+    if (!Number.isInteger(productId)) {
+      return null;
+    }
+
+    try {
+      const result = await query(
+        `INSERT INTO product_prices (product_id, currency, price)
+         SELECT id, $2, $3 FROM products WHERE id = $1
+         ON CONFLICT (product_id, currency) DO UPDATE SET price = EXCLUDED.price
+         RETURNING *`,
+        [productId, code, fromCents(toCents(price, code), code)]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error saving product price', { error });
+      throw error;
+    }
+  }
+
+  // Returns false if the product had no price in `currency`
+  static async removeProductPrice(productId, currency) {
+    const code = normalizeCurrency(currency);
+    if (!code || !Number.isInteger(productId)) {
+      return false;
+    }
+
+    try {
+      const result = await query(
+        'DELETE FROM product_prices WHERE product_id = $1 AND currency = $2',
+        [productId, code]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error removing product price', { error });
+      throw error;
+    }
+  }
+
+  // Unit prices in cents of the checkout currency for `products`, as a Map of
+  // product id to cents: the price list entry if there is one, otherwise the
+  // catalog price converted at the exchange rate
+  static async priceProducts(products, converter) {
+    const prices = await CurrencyService.getProductPrices(products.map(product => product.id), converter.currency);
+    return new Map(products.map(product => [
+      product.id,
+      prices.has(product.id) ? toCents(prices.get(product.id), converter.currency) : converter.fromBase(product.price)
+    ]));
+  }
+}
+
+module.exports = CurrencyService;
@@ -0,0 +1,361 @@
+// Customer Service - Passwordless customer accounts: emailed sign-in links,
+// profiles and saved shipping addresses
+const crypto = require('crypto');
+const { query, getClient } = require('../database/connection');
+const NotificationService = require('./notificationService');
+const { signToken } = require('../utils/signedTokens');
+const { createHttpError } = require('../utils/httpError');
+const { logger } = require('../utils/logger');
+
+const SIGN_IN_LINK_TTL_MINUTES = 15;
+const SIGN_IN_RESEND_SECONDS = 60;
+const TOKEN_TTL_DAYS = parseInt(process.env.CUSTOMER_TOKEN_TTL_DAYS) || 30;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Validated address columns from a request body ({ name, address, city,
+// region, postalCode, country }); `partial` allows leaving fields out
+const addressFields = (input, { partial = false } = {}) => {
+  const fields = {};
+  const text = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+  for (const [key, column] of [['name', 'name'], ['address', 'address'], ['city', 'city'],
+    ['region', 'region'], ['postalCode', 'postal_code'], ['country', 'country']]) {
+    if (input[key] !== undefined || !partial) {
+      fields[column] = text(input[key]);
+    }
+  }
+
+  if ((!partial || 'name' in fields) && !fields.name) {
+    throw createHttpError(400, 'name is required');
+  }
+  if ((!partial || 'address' in fields) && !fields.address) {
+    throw createHttpError(400, 'address is required');
+  }
+  if (fields.country) {
+    fields.country = fields.country.toUpperCase();
+    if (!/^[A-Z]{2}$/.test(fields.country)) {
+      throw createHttpError(400, 'country must be a two-letter ISO country code');
+    }
+  }
+
+  return fields;
+};
+
+class CustomerService {
+
+  // Email a one-time sign-in link. Nothing is sent if a link went to the
+  // address in the last minute; callers respond the same either way, so the
+  // endpoint can't be used to find out who has an account.
+  static async requestSignInLink(email) {
+    const normalizedEmail = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw createHttpError(400, 'Invalid email format');
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize requests for one address, so double clicks send one email
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`customer-sign-in:${normalizedEmail}`]);
+
+      const recentResult = await client.query(
+        `SELECT 1 FROM customer_sign_in_links
+         WHERE email = $1 AND created_at > NOW() - make_interval(secs => $2)`,
+        [normalizedEmail, SIGN_IN_RESEND_SECONDS]
+      );
+
+      if (recentResult.rows.length === 0) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await client.query(
+          `INSERT INTO customer_sign_in_links (email, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [normalizedEmail, hashToken(token), SIGN_IN_LINK_TTL_MINUTES]
+        );
+
+        await NotificationService.enqueue(client, {
+          template: 'customerSignIn',
+          to: normalizedEmail,
+          data: {
+            signInUrl: `${frontendUrl()}/#/account/sign-in?token=${token}`,
+            expiresInMinutes: SIGN_IN_LINK_TTL_MINUTES
+          }
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error sending customer sign-in link', { error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Exchange a sign-in link token for a customer bearer token, creating the
+  // account on first sign-in. Returns null if the link is unknown, used or
+  // expired.
+  static async signIn(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const linkResult = await client.query(
+        `UPDATE customer_sign_in_links
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING email`,
+        [hashToken(token)]
+      );
+
+      if (linkResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const customerResult = await client.query(
+        `INSERT INTO customers (email, last_sign_in_at)
+         VALUES ($1, NOW())
+         ON CONFLICT (email) DO UPDATE SET last_sign_in_at = NOW()
+         RETURNING *`,
+        [linkResult.rows[0].email]
+      );
+      const customer = customerResult.rows[0];
+
+      await client.query('COMMIT');
+
+      const expiresInSeconds = TOKEN_TTL_DAYS * 24 * 60 * 60;
+      return {
+        token: signToken({ sub: customer.id }, { purpose: 'customer', expiresInSeconds }),
+        expiresIn: expiresInSeconds,
+        customer
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error signing customer in', { error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async getCustomerById(customerId) {
+    try {
+      const result = await query('SELECT * FROM customers WHERE id = $1', [customerId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching customer', { error });
+      throw error;
+    }
+  }
+
+  static async updateProfile(customerId, { name }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw createHttpError(400, 'name is required');
+    }
+
+    try {
+      const result = await query(
+        'UPDATE customers SET name = $2 WHERE id = $1 RETURNING *',
+        [customerId, name.trim()]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating customer', { error });
+      throw error;
+    }
+  }
+
+  // Find or create the customer for an order's `customer` details, inside the
+  // caller's transaction. The shipping address is saved to the account (if
+  // it doesn't have it yet) only when the order was placed signed in as that
+  // customer (`signedInCustomerId`) - anyone can place a guest order with
+  // someone else's email. Returns the customer ID.
+  static async recordOrderCustomer(client, customer, { signedInCustomerId = null } = {}) {
+    // Locks the customer row until the order commits, so concurrent orders
+    // for one customer can't both claim the default address
+    const customerResult = await client.query(
+      `INSERT INTO customers (email, name)
+       VALUES ($1, $2)
+       ON CONFLICT (email) DO UPDATE SET name = COALESCE(customers.name, EXCLUDED.name)
+       RETURNING id`,
+      [normalizeEmail(customer.email), customer.name || null]
+    );
+    const customerId = customerResult.rows[0].id;
+
+    if (customer.address && Number(signedInCustomerId) === customerId) {
+      await client.query(
+        `INSERT INTO customer_addresses (customer_id, name, address, city, region, postal_code, country, is_default)
+         SELECT $1, $2, $3, $4, $5, $6, $7,
+                NOT EXISTS (SELECT 1 FROM customer_addresses WHERE customer_id = $1 AND is_default)
+         WHERE NOT EXISTS (
+           SELECT 1 FROM customer_addresses
+           WHERE customer_id = $1
+             AND LOWER(TRIM(address)) = LOWER(TRIM($3::text))
+             AND COALESCE(postal_code, '') = COALESCE($6::varchar, '')
+             AND COALESCE(country, '') = COALESCE($7::varchar, '')
+         )`,
+        [
+          customerId,
+          customer.name,
+          customer.address,
+          customer.city || null,
+          customer.region || null,
+          customer.postalCode || null,
+          customer.country ? String(customer.country).toUpperCase() : null
+        ]
+      );
+    }
+
+    return customerId;
+  }
+
+  // Saved addresses, default first
+  static async getAddresses(customerId) {
+    try {
+      const result = await query(
+        `SELECT * FROM customer_addresses
+         WHERE customer_id = $1
+         ORDER BY is_default DESC, updated_at DESC, id DESC`,
+        [customerId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching customer addresses', { error });
+      throw error;
+    }
+  }
+
+  // Add or update (`addressId`) a saved address. Making an address the
+  // default - or adding a customer's first address - takes the default from
+  // any other. Returns null if the address isn't the customer's.
+  static async saveAddress(customerId, input, addressId = null) {
+    const fields = addressFields(input, { partial: Boolean(addressId) });
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize default changes per customer
+      await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+
+      const countResult = await client.query(
+        'SELECT COUNT(*)::int AS count FROM customer_addresses WHERE customer_id = $1',
+        [customerId]
+      );
+      const makeDefault = input.isDefault === true || (!addressId && countResult.rows[0].count === 0);
+
+      if (makeDefault) {
+        await client.query(
+          'UPDATE customer_addresses SET is_default = FALSE WHERE customer_id = $1 AND is_default AND id IS DISTINCT FROM $2',
+          [customerId, addressId]
+        );
+      }
+
+      let result;
+      if (addressId) {
+        const columns = Object.keys(fields);
+        if (makeDefault) {
+          columns.push('is_default');
+          fields.is_default = true;
+        }
+        if (columns.length === 0) {
+          result = await client.query(
+            'SELECT * FROM customer_addresses WHERE id = $1 AND customer_id = $2',
+            [addressId, customerId]
+          );
+        } else {
+          const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+          result = await client.query(
+            `UPDATE customer_addresses SET ${assignments.join(', ')}
+             WHERE id = $1 AND customer_id = $2
+             RETURNING *`,
+            [addressId, customerId, ...columns.map(column => fields[column])]
+          );
+        }
+      } else {
+        result = await client.query(
+          `INSERT INTO customer_addresses (customer_id, name, address, city, region, postal_code, country, is_default)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [customerId, fields.name, fields.address, fields.city, fields.region, fields.postal_code, fields.country, makeDefault]
+        );
+      }
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        logger.error('Error saving customer address', { error });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Delete a saved address; the most recently used remaining address becomes
+  // the default if it was. Returns false if the address isn't the customer's.
+  static async deleteAddress(customerId, addressId) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+
+      const result = await client.query(
+        'DELETE FROM customer_addresses WHERE id = $1 AND customer_id = $2 RETURNING is_default',
+        [addressId, customerId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      if (result.rows[0].is_default) {
+        await client.query(
+          `UPDATE customer_addresses SET is_default = TRUE
+           WHERE id = (
+             SELECT id FROM customer_addresses WHERE customer_id = $1
+             ORDER BY updated_at DESC, id DESC LIMIT 1
+           )`,
+          [customerId]
+        );
+      }
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error deleting customer address', { error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = CustomerService;
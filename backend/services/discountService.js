@@ -0,0 +1,441 @@
+// Discount Service - Promo codes: validation against a cart, discount
+// calculation, checkout reservations and redemption tracking
+const { query, getClient } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { toCents, fromCents } = require('../utils/money');
+const { logger } = require('../utils/logger');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+
+// A checkout's hold on a code lasts as long as its hold on the stock
+const RESERVATION_MINUTES = parseInt(process.env.INVENTORY_RESERVATION_MINUTES) || 30;
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Validate admin discount input; `partial` allows updates that only set some fields
+const validateDiscountInput = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.code !== undefined) {
+    if (typeof data.code !== 'string' || !/^[A-Za-z0-9_-]{3,50}$/.test(data.code.trim())) {
+      errors.push('code must be 3-50 letters, numbers, dashes or underscores');
+    }
+  }
+
+  if (!partial || data.type !== undefined) {
+    if (!DISCOUNT_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+  }
+
+  if (data.value !== undefined || (!partial && data.type !== 'free_shipping')) {
+    const value = Number(data.value);
+    if (data.value === null || data.value === '' || !Number.isFinite(value) || value <= 0) {
+      errors.push('value must be a positive number');
+    } else if (data.type === 'percentage' && value > 100) {
+      errors.push('percentage value cannot exceed 100');
+    }
+  }
+
+  if (data.minOrderAmount !== undefined && data.minOrderAmount !== null) {
+    const minOrderAmount = Number(data.minOrderAmount);
+    if (!Number.isFinite(minOrderAmount) || minOrderAmount < 0) {
+      errors.push('minOrderAmount must be a non-negative number');
+    }
+  }
+
+  if (data.productIds !== undefined && data.productIds !== null) {
+    if (!Array.isArray(data.productIds) || data.productIds.length === 0 || !data.productIds.every(isPositiveInteger)) {
+      errors.push('productIds must be a non-empty array of product IDs');
+    }
+  }
+
+  for (const field of ['usageLimit', 'usageLimitPerEmail']) {
+    if (data[field] !== undefined && data[field] !== null && !isPositiveInteger(data[field])) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  }
+
+  for (const field of ['startsAt', 'expiresAt']) {
+    if (data[field] !== undefined && data[field] !== null && isNaN(Date.parse(data[field]))) {
+      errors.push(`${field} must be a date`);
+    }
+  }
+
+  if (data.startsAt && data.expiresAt && Date.parse(data.startsAt) >= Date.parse(data.expiresAt)) {
+    errors.push('expiresAt must be after startsAt');
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    errors.push('isActive must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid discount code', errors);
+  }
+};
+
+// Split `discountCents` across `lines` in proportion to their totals; the
+// last line takes the rounding remainder so the shares always add up
+const allocateAcrossLines = (discountCents, lines) => {
+  const baseCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+  let remainingCents = discountCents;
+
+  return lines.map((line, index) => {
+    const shareCents = index === lines.length - 1
+      ? remainingCents
+      : Math.round(discountCents * line.lineTotalCents / baseCents);
+    remainingCents -= shareCents;
+    return shareCents;
+  });
+};
+
+class DiscountService {
+
+  static async listDiscountCodes() {
+    try {
+      const result = await query('SELECT * FROM discount_codes ORDER BY created_at DESC');
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing discount codes', { error });
+      throw error;
+    }
+  }
+
+  static async getDiscountCodeById(discountId) {
+    if (!Number.isInteger(discountId)) {
+      return null;
+    }
+
+    try {
+      const result = await query('SELECT * FROM discount_codes WHERE id = $1', [discountId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching discount code', { error });
+      throw error;
+    }
+  }
+
+  static async createDiscountCode(data, { actor } = {}) {
+    validateDiscountInput(data);
+
+    try {
+      const result = await query(
+        `INSERT INTO discount_codes (
+           code, description, discount_type, value, min_order_amount, product_ids,
+           starts_at, expires_at, usage_limit, usage_limit_per_email, is_active, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          normalizeCode(data.code),
+          data.description || null,
+          data.type,
+          data.type === 'free_shipping' ? 0 : fromCents(toCents(data.value)),
+          data.minOrderAmount != null ? fromCents(toCents(data.minOrderAmount)) : null,
+          data.productIds || null,
+          data.startsAt || null,
+          data.expiresAt || null,
+          data.usageLimit || null,
+          data.usageLimitPerEmail || null,
+          data.isActive !== undefined ? data.isActive : true,
+          actor || null
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, `Discount code ${normalizeCode(data.code)} already exists`);
+      }
+      logger.error('Error creating discount code', { error });
+      throw error;
+    }
+  }
+
+  // Update only the fields present in `data`. The code itself and its type
+  // can't change once created, since orders refer to them.
+  static async updateDiscountCode(discountId, data) {
+    if (data.code !== undefined || data.type !== undefined) {
+      throw createHttpError(400, 'Invalid discount code', ['code and type cannot be changed']);
+    }
+
+    const existing = await DiscountService.getDiscountCodeById(discountId);
+    if (!existing) {
+      return null;
+    }
+
+    validateDiscountInput({ ...data, type: existing.discount_type }, { partial: true });
+
+    const columns = {
+      description: data.description,
+      value: data.value !== undefined ? fromCents(toCents(data.value)) : undefined,
+      min_order_amount: data.minOrderAmount !== undefined
+        ? (data.minOrderAmount === null ? null : fromCents(toCents(data.minOrderAmount)))
+        : undefined,
+      product_ids: data.productIds,
+      starts_at: data.startsAt,
+      expires_at: data.expiresAt,
+      usage_limit: data.usageLimit,
+      usage_limit_per_email: data.usageLimitPerEmail,
+      is_active: data.isActive
+    };
+
+    const assignments = [];
+    const values = [];
+    for (const [column, value] of Object.entries(columns)) {
+      if (value !== undefined) {
+        values.push(value);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (assignments.length === 0) {
+      return existing;
+    }
+
+    try {
+      values.push(discountId);
+      const result = await query(
+        `UPDATE discount_codes SET ${assignments.join(', ')}
+         WHERE id = $${values.length}
+         RETURNING *`,
+        values
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating discount code', { error });
+      throw error;
+    }
+  }
+
+  static async deactivateDiscountCode(discountId) {
+    return DiscountService.updateDiscountCode(discountId, { isActive: false });
+  }
+
+  // Check `code` against a priced cart and work out the discount.
+  // Throws a 400 explaining why if the code can't be used.
+  //
+  // With `enforceLimits: false` only the calculation is done - used when
+  // recording an order whose discounted total has already been paid, since
+  // the code may have expired or run out in the meantime.
+  static async applyDiscount(code, { lines, subtotalCents, email = null, money = null }, { enforceLimits = true } = {}) {
+    const currency = money ? money.currency : 'USD';
+    const fromBase = money ? money.fromBase : (amount) => toCents(amount);
+    const normalizedCode = normalizeCode(code);
+    let discount;
+
+    try {
+      const result = await query(
+        `SELECT d.*,
+                (SELECT COUNT(*) FROM discount_redemptions r
+                 WHERE r.discount_code_id = d.id AND LOWER(r.customer_email) = LOWER($2))::int AS email_redemptions
+         FROM discount_codes d
+         WHERE d.code = $1`,
+        [normalizedCode, email || '']
+      );
+      discount = result.rows[0];
+    } catch (error) {
+      logger.error('Error fetching discount code', { error });
+      throw error;
+    }
+
+    if (!discount) {
+      throw createHttpError(400, `Discount code ${normalizedCode} is not valid`);
+    }
+
+    if (enforceLimits) {
+      const now = Date.now();
+
+      if (!discount.is_active) {
+        throw createHttpError(400, `Discount code ${normalizedCode} is not valid`);
+      }
+      if (discount.starts_at && new Date(discount.starts_at).getTime() > now) {
+        throw createHttpError(400, `Discount code ${normalizedCode} is not active yet`);
+      }
+      if (discount.expires_at && new Date(discount.expires_at).getTime() <= now) {
+        throw createHttpError(400, `Discount code ${normalizedCode} has expired`);
+      }
+      if (discount.usage_limit !== null && discount.times_used >= discount.usage_limit) {
+        throw createHttpError(400, `Discount code ${normalizedCode} has reached its usage limit`);
+      }
+      if (email && discount.usage_limit_per_email !== null && discount.email_redemptions >= discount.usage_limit_per_email) {
+        throw createHttpError(400, `Discount code ${normalizedCode} has already been used`);
+      }
+      if (discount.min_order_amount !== null && subtotalCents < fromBase(discount.min_order_amount)) {
+        throw createHttpError(400, `Discount code ${normalizedCode} requires a minimum order of ${fromCents(fromBase(discount.min_order_amount), currency)} ${currency}`);
+      }
+    }
+
+    // Product-restricted codes only discount the matching lines
+    const eligible = lines.map(line => !discount.product_ids || discount.product_ids.includes(line.productId));
+    const eligibleLines = lines.filter((line, index) => eligible[index]);
+
+    if (eligibleLines.length === 0) {
+      throw createHttpError(400, `Discount code ${normalizedCode} does not apply to any items in your cart`);
+    }
+
+    const eligibleCents = eligibleLines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+    let discountCents = 0;
+
+    if (discount.discount_type === 'percentage') {
+      discountCents = Math.round(eligibleCents * Number(discount.value) / 100);
+    } else if (discount.discount_type === 'fixed_amount') {
+      discountCents = Math.min(fromBase(discount.value), eligibleCents);
+    }
+
+    const eligibleShares = allocateAcrossLines(discountCents, eligibleLines);
+    const lineDiscountCents = [];
+    for (let index = 0, eligibleIndex = 0; index < lines.length; index++) {
+      lineDiscountCents.push(eligible[index] ? eligibleShares[eligibleIndex++] : 0);
+    }
+
+    return {
+      code: discount.code,
+      type: discount.discount_type,
+      description: discount.description,
+      discountCents,
+      lineDiscountCents,
+      freeShipping: discount.discount_type === 'free_shipping'
+    };
+  }
+
+  // Hold a use of `code` for a payment intent until it is paid, released or
+  // expires. The usage limits count other checkouts' holds as well as
+  // redemptions, so concurrent checkouts can't take the last use twice.
+  // Throws a 400 if the code has no uses left.
+  static async reserveRedemption(paymentIntentId, { code, email = null }) {
+    const client = await getClient();
+    const normalizedCode = normalizeCode(code);
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the code so concurrent checkouts queue here, then count its uses
+      // in a separate statement: its snapshot is taken once the lock is
+      // held, so it sees the hold of the checkout ahead of this one
+      const discountResult = await client.query(
+        `SELECT id, usage_limit, usage_limit_per_email, times_used
+         FROM discount_codes
+         WHERE code = $1
+         FOR UPDATE`,
+        [normalizedCode]
+      );
+      const discount = discountResult.rows[0];
+
+      if (!discount) {
+        throw createHttpError(400, `Discount code ${normalizedCode} is not valid`);
+      }
+
+      const usesResult = await client.query(
+        `SELECT (
+                  SELECT COUNT(*) FROM discount_reservations r
+                  WHERE r.discount_code_id = $1 AND r.status = 'active' AND r.expires_at > NOW()
+                )::int AS reserved,
+                (
+                  SELECT COUNT(*) FROM discount_redemptions r
+                  WHERE r.discount_code_id = $1 AND LOWER(r.customer_email) = LOWER($2)
+                )::int + (
+                  SELECT COUNT(*) FROM discount_reservations r
+                  WHERE r.discount_code_id = $1 AND LOWER(r.customer_email) = LOWER($2)
+                    AND r.status = 'active' AND r.expires_at > NOW()
+                )::int AS email_uses`,
+        [discount.id, email || '']
+      );
+      const uses = usesResult.rows[0];
+
+      if (discount.usage_limit !== null && discount.times_used + uses.reserved >= discount.usage_limit) {
+        throw createHttpError(400, `Discount code ${normalizedCode} has reached its usage limit`);
+      }
+      if (email && discount.usage_limit_per_email !== null && uses.email_uses >= discount.usage_limit_per_email) {
+        throw createHttpError(400, `Discount code ${normalizedCode} has already been used`);
+      }
+
+      const reservationResult = await client.query(
+        `INSERT INTO discount_reservations (stripe_payment_intent_id, discount_code_id, customer_email, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+         RETURNING expires_at`,
+        [paymentIntentId, discount.id, email || '', RESERVATION_MINUTES]
+      );
+
+      await client.query('COMMIT');
+
+      return { expiresAt: reservationResult.rows[0].expires_at };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        logger.error('Error reserving discount code', { error });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Give a payment intent's held use back (payment failed or was canceled)
+  static async releaseReservation(paymentIntentId) {
+    try {
+      const result = await query(
+        `UPDATE discount_reservations SET status = 'released'
+         WHERE stripe_payment_intent_id = $1 AND status = 'active'`,
+        [paymentIntentId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error releasing discount reservation', { error });
+      throw error;
+    }
+  }
+
+  // Mark holds past their expiry so they read correctly in the table
+  static async expireReservations() {
+    try {
+      const result = await query(
+        `UPDATE discount_reservations SET status = 'expired'
+         WHERE status = 'active' AND expires_at <= NOW()`
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error expiring discount reservations', { error });
+      throw error;
+    }
+  }
+
+  // Record that an order used `code`, converting the payment intent's hold,
+  // inside the caller's transaction
+  static async recordRedemption(client, { code, orderId, paymentIntentId = null, email, amountCents, currency = 'USD' }) {
+    const result = await client.query(
+      `UPDATE discount_codes SET times_used = times_used + 1
+       WHERE code = $1
+       RETURNING id, usage_limit, times_used`,
+      [normalizeCode(code)]
+    );
+    const discount = result.rows[0];
+
+    if (!discount) {
+      return;
+    }
+
+    if (discount.usage_limit !== null && discount.times_used > discount.usage_limit) {
+      // Only when the hold expired before the customer paid; they paid the
+      // discounted total, so honour it
+      logger.warn('Discount code redeemed over its usage limit', { code, timesUsed: discount.times_used, usageLimit: discount.usage_limit });
+    }
+
+    await client.query(
+      `INSERT INTO discount_redemptions (discount_code_id, order_id, customer_email, amount, currency)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [discount.id, orderId, email, fromCents(amountCents, currency), currency]
+    );
+
+    if (paymentIntentId) {
+      await client.query(
+        `UPDATE discount_reservations SET status = 'converted'
+         WHERE stripe_payment_intent_id = $1 AND status = 'active'`,
+        [paymentIntentId]
+      );
+    }
+  }
+}
+
+module.exports = DiscountService;
@@ -0,0 +1,222 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { query, getClient } = require('../database/connection');
+const DiscountService = require('./discountService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mockDiscount = (overrides = {}) => {
+  query.mockResolvedValue({
+    rows: [{
+      id: 1,
+      code: 'SAVE10',
+      description: null,
+      discount_type: 'percentage',
+      value: '10.00',
+      min_order_amount: null,
+      product_ids: null,
+      starts_at: null,
+      expires_at: null,
+      usage_limit: null,
+      usage_limit_per_email: null,
+      times_used: 0,
+      is_active: true,
+      email_redemptions: 0,
+      ...overrides
+    }]
+  });
+};
+
+const lines = [
+  { productId: 1, lineTotalCents: 6000 },
+  { productId: 2, lineTotalCents: 2550 }
+];
+const cart = { lines, subtotalCents: 8550, email: 'ann@x.com' };
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+describe('DiscountService.applyDiscount', () => {
+  test('takes a percentage off and splits it across lines in proportion', async () => {
+    mockDiscount();
+
+    const discount = await DiscountService.applyDiscount(' save10 ', cart);
+
+    expect(query.mock.calls[0][1]).toEqual(['SAVE10', 'ann@x.com']);
+    expect(discount).toMatchObject({ code: 'SAVE10', type: 'percentage', discountCents: 855, freeShipping: false });
+    expect(discount.lineDiscountCents).toEqual([600, 255]);
+  });
+
+  test('gives the rounding remainder to the last line', async () => {
+    mockDiscount({ discount_type: 'fixed_amount', value: '10.00' });
+
+    const threeLines = [1, 2, 3].map(productId => ({ productId, lineTotalCents: 1000 }));
+    const discount = await DiscountService.applyDiscount('SAVE10', { lines: threeLines, subtotalCents: 3000 });
+
+    expect(discount.lineDiscountCents).toEqual([333, 333, 334]);
+  });
+
+  test('only discounts the products a code is restricted to', async () => {
+    mockDiscount({ discount_type: 'fixed_amount', value: '20.00', product_ids: [2] });
+
+    const discount = await DiscountService.applyDiscount('SAVE10', cart);
+
+    expect(discount.discountCents).toBe(2000);
+    expect(discount.lineDiscountCents).toEqual([0, 2000]);
+  });
+
+  test('never takes more off than the eligible items cost', async () => {
+    mockDiscount({ discount_type: 'fixed_amount', value: '50.00', product_ids: [2] });
+
+    const discount = await DiscountService.applyDiscount('SAVE10', cart);
+
+    expect(discount.discountCents).toBe(2550);
+  });
+
+  test('waives shipping for free shipping codes', async () => {
+    mockDiscount({ discount_type: 'free_shipping', value: '0' });
+
+    const discount = await DiscountService.applyDiscount('SAVE10', cart);
+
+    expect(discount).toMatchObject({ discountCents: 0, freeShipping: true });
+    expect(discount.lineDiscountCents).toEqual([0, 0]);
+  });
+
+  test('converts fixed amounts and minimums from the base currency', async () => {
+    mockDiscount({ discount_type: 'fixed_amount', value: '10.00', min_order_amount: '50.00' });
+    const money = { currency: 'JPY', fromBase: (amount) => Math.round(parseFloat(amount) * 150) };
+
+    const discount = await DiscountService.applyDiscount('SAVE10', {
+      lines: [{ productId: 1, lineTotalCents: 9000 }],
+      subtotalCents: 9000,
+      money
+    });
+
+    expect(discount.discountCents).toBe(1500);
+  });
+
+  test.each([
+    ['an unknown code', null, 'Discount code SAVE10 is not valid'],
+    ['an inactive code', { is_active: false }, 'Discount code SAVE10 is not valid'],
+    ['a code not active yet', { starts_at: new Date(Date.now() + DAY_MS) }, 'Discount code SAVE10 is not active yet'],
+    ['an expired code', { expires_at: new Date(Date.now() - DAY_MS) }, 'Discount code SAVE10 has expired'],
+    ['a used up code', { usage_limit: 5, times_used: 5 }, 'Discount code SAVE10 has reached its usage limit'],
+    ['a code this email has used', { usage_limit_per_email: 1, email_redemptions: 1 }, 'Discount code SAVE10 has already been used'],
+    ['a cart under the minimum', { min_order_amount: '100.00' }, 'Discount code SAVE10 requires a minimum order of 100.00 USD'],
+    ['a cart without eligible products', { product_ids: [3] }, 'Discount code SAVE10 does not apply to any items in your cart']
+  ])('rejects %s', async (description, overrides, message) => {
+    if (overrides) {
+      mockDiscount(overrides);
+    } else {
+      query.mockResolvedValue({ rows: [] });
+    }
+
+    await expect(DiscountService.applyDiscount('SAVE10', cart)).rejects.toMatchObject({ statusCode: 400, message });
+  });
+
+  test('skips the limits for orders that have already been paid', async () => {
+    mockDiscount({ is_active: false, expires_at: new Date(Date.now() - DAY_MS), usage_limit: 1, times_used: 1 });
+
+    const discount = await DiscountService.applyDiscount('SAVE10', cart, { enforceLimits: false });
+
+    expect(discount.discountCents).toBe(855);
+  });
+});
+
+// A database holding one code, behaving like Postgres in READ COMMITTED:
+// `FOR UPDATE` waits for the row lock, each statement sees what was committed
+// when it started, and a transaction's holds are visible to others once it
+// commits
+const mockReservations = ({ usageLimit = null, usageLimitPerEmail = null, timesUsed = 0 } = {}) => {
+  const holds = [];
+  let locked = Promise.resolve();
+
+  getClient.mockImplementation(async () => {
+    let unlock = () => {};
+    let inserted = [];
+
+    return {
+      query: jest.fn(async (sql, params) => {
+        if (/FOR UPDATE/.test(sql)) {
+          const previous = locked;
+          locked = new Promise(resolve => { unlock = resolve; });
+          await previous;
+          return {
+            rows: params[0] === 'ONCE'
+              ? [{ id: 1, usage_limit: usageLimit, usage_limit_per_email: usageLimitPerEmail, times_used: timesUsed }]
+              : []
+          };
+        }
+        if (/AS email_uses/.test(sql)) {
+          return {
+            rows: [{
+              reserved: holds.length,
+              email_uses: holds.filter(hold => hold.email.toLowerCase() === params[1].toLowerCase()).length
+            }]
+          };
+        }
+        if (/INSERT INTO discount_reservations/.test(sql)) {
+          inserted = [{ paymentIntentId: params[0], email: params[2] }];
+          return { rows: [{ expires_at: new Date() }] };
+        }
+        if (sql === 'COMMIT') {
+          holds.push(...inserted);
+        }
+        if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+          unlock();
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+  });
+
+  return { holds };
+};
+
+describe('DiscountService.reserveRedemption', () => {
+  test('holds a use of the code for the payment intent', async () => {
+    const { holds } = mockReservations({ usageLimit: 5 });
+
+    await DiscountService.reserveRedemption('pi_1', { code: 'once', email: 'ann@x.com' });
+
+    expect(holds).toEqual([{ paymentIntentId: 'pi_1', email: 'ann@x.com' }]);
+  });
+
+  test('counts redemptions and other holds against the usage limit', async () => {
+    mockReservations({ usageLimit: 2, timesUsed: 1 });
+    await DiscountService.reserveRedemption('pi_1', { code: 'ONCE', email: 'ann@x.com' });
+
+    await expect(DiscountService.reserveRedemption('pi_2', { code: 'ONCE', email: 'bob@x.com' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Discount code ONCE has reached its usage limit' });
+  });
+
+  test('counts holds for the same email against the per-email limit', async () => {
+    mockReservations({ usageLimitPerEmail: 1 });
+    await DiscountService.reserveRedemption('pi_1', { code: 'ONCE', email: 'ann@x.com' });
+
+    await expect(DiscountService.reserveRedemption('pi_2', { code: 'ONCE', email: 'ANN@x.com' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Discount code ONCE has already been used' });
+    await expect(DiscountService.reserveRedemption('pi_3', { code: 'ONCE', email: 'bob@x.com' })).resolves.toBeDefined();
+  });
+
+  test('lets only one of two concurrent checkouts take the last use', async () => {
+    const { holds } = mockReservations({ usageLimit: 1 });
+
+    const results = await Promise.allSettled([
+      DiscountService.reserveRedemption('pi_1', { code: 'ONCE', email: 'ann@x.com' }),
+      DiscountService.reserveRedemption('pi_2', { code: 'ONCE', email: 'bob@x.com' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(holds).toHaveLength(1);
+  });
+
+  test('rejects an unknown code', async () => {
+    mockReservations();
+
+    await expect(DiscountService.reserveRedemption('pi_1', { code: 'NOPE', email: 'ann@x.com' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Discount code NOPE is not valid' });
+  });
+});
@@ -0,0 +1,129 @@
+// Idempotency Service - Stored responses for requests sent with an
+// Idempotency-Key header, so a retried request gets the original response
+// instead of being processed twice
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+// How long a key is remembered; a key reused after this starts a new request
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a claimed key stays in progress without being renewed. The request
+// renews it while it runs (see keepClaimed), so only a request whose process
+// died is taken over by a retry, instead of the key answering 409 until it
+// expires.
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+
+const hashRequest = (body) => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+class IdempotencyService {
+
+  // Claim `key` for a request to `endpoint`. Returns { claimed: true } if this
+  // request should be processed, otherwise the stored row as { claimed: false,
+  // record } - still in progress when record.status_code is null. An expired
+  // key, or one in progress whose lease ran out, is taken over.
+  static async begin(key, endpoint, body) {
+    const requestHash = hashRequest(body);
+
+    try {
+      // The row can expire or be released between the claim and the read;
+      // then there's nothing to report, so claim again
+      for (;;) {
+        // Taken over as if it had never been used
+        const claimResult = await query(
+          `INSERT INTO idempotency_keys (idempotency_key, endpoint, request_hash, lease_expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(secs => $5))
+           ON CONFLICT (idempotency_key, endpoint) DO UPDATE
+             SET request_hash = EXCLUDED.request_hash, status_code = NULL, response_body = NULL,
+                 created_at = NOW(), completed_at = NULL, lease_expires_at = EXCLUDED.lease_expires_at
+             WHERE idempotency_keys.created_at < NOW() - make_interval(hours => $4)
+                OR (idempotency_keys.status_code IS NULL
+                    AND COALESCE(idempotency_keys.lease_expires_at,
+                                 idempotency_keys.created_at + make_interval(secs => $5)) < NOW())
+           RETURNING idempotency_key`,
+          [key, endpoint, requestHash, IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_LEASE_SECONDS]
+        );
+
+        if (claimResult.rows.length > 0) {
+          return { claimed: true };
+        }
+
+        const existingResult = await query(
+          'SELECT * FROM idempotency_keys WHERE idempotency_key = $1 AND endpoint = $2',
+          [key, endpoint]
+        );
+        const record = existingResult.rows[0];
+
+        if (record) {
+          return { claimed: false, record, sameRequest: record.request_hash === requestHash };
+        }
+      }
+    } catch (error) {
+      logger.error('Error claiming idempotency key', { error });
+      throw error;
+    }
+  }
+
+  // Renew the lease on a claimed key every third of the lease while its
+  // request runs, so a slow request isn't taken over by a retry. Returns a
+  // function that stops renewing.
+  static keepClaimed(key, endpoint) {
+    const timer = setInterval(() => {
+      query(
+        `UPDATE idempotency_keys SET lease_expires_at = NOW() + make_interval(secs => $3)
+         WHERE idempotency_key = $1 AND endpoint = $2 AND status_code IS NULL`,
+        [key, endpoint, IDEMPOTENCY_LEASE_SECONDS]
+      ).catch(error => {
+        logger.error('Error renewing idempotency key lease', { error });
+      });
+    }, IDEMPOTENCY_LEASE_SECONDS * 1000 / 3);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  // Store the response to replay for `key`
+  static async complete(key, endpoint, statusCode, body) {
+    try {
+      await query(
+        `UPDATE idempotency_keys
+         SET status_code = $1, response_body = $2, completed_at = NOW()
+         WHERE idempotency_key = $3 AND endpoint = $4`,
+        [statusCode, JSON.stringify(body ?? null), key, endpoint]
+      );
+    } catch (error) {
+      logger.error('Error storing idempotent response', { error });
+      throw error;
+    }
+  }
+
+  // Forget `key` so the request can be retried (it failed without a result worth replaying)
+  static async release(key, endpoint) {
+    try {
+      await query(
+        'DELETE FROM idempotency_keys WHERE idempotency_key = $1 AND endpoint = $2 AND status_code IS NULL',
+        [key, endpoint]
+      );
+    } catch (error) {
+      logger.error('Error releasing idempotency key', { error });
+      throw error;
+    }
+  }
+
+  // Delete expired keys. Returns how many were removed.
+  static async purgeExpired() {
+    try {
+      const result = await query(
+        `DELETE FROM idempotency_keys
+         WHERE created_at < NOW() - make_interval(hours => $1)`,
+        [IDEMPOTENCY_KEY_TTL_HOURS]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error purging idempotency keys', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,59 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { query } = require('../database/connection');
+const IdempotencyService = require('./idempotencyService');
+
+const claimed = { rows: [{ idempotency_key: 'key' }] };
+const notClaimed = { rows: [] };
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('IdempotencyService.begin', () => {
+  test('claims an unused key', async () => {
+    query.mockResolvedValueOnce(claimed);
+
+    await expect(IdempotencyService.begin('key', 'POST /api/x', { a: 1 })).resolves.toEqual({ claimed: true });
+  });
+
+  test('returns the stored request for a key in use', async () => {
+    query
+      .mockResolvedValueOnce(notClaimed)
+      .mockResolvedValueOnce({ rows: [{ status_code: 200, response_body: { ok: true }, request_hash: 'other' }] });
+
+    const claim = await IdempotencyService.begin('key', 'POST /api/x', { a: 1 });
+
+    expect(claim).toMatchObject({ claimed: false, sameRequest: false, record: { status_code: 200 } });
+  });
+
+  test('claims again when the key is gone by the time it is read', async () => {
+    query
+      .mockResolvedValueOnce(notClaimed)
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce(claimed);
+
+    await expect(IdempotencyService.begin('key', 'POST /api/x', { a: 1 })).resolves.toEqual({ claimed: true });
+    expect(query).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('IdempotencyService.keepClaimed', () => {
+  test('renews the lease until stopped', async () => {
+    jest.useFakeTimers();
+    query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+    const stop = IdempotencyService.keepClaimed('key', 'POST /api/x');
+    jest.advanceTimersByTime(60 * 1000);
+    expect(query).toHaveBeenCalledTimes(3);
+    expect(query.mock.calls[0][1]).toEqual(['key', 'POST /api/x', 60]);
+
+    stop();
+    jest.advanceTimersByTime(60 * 1000);
+    expect(query).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,294 @@
+// Inventory Service - Stock counts, checkout reservations and adjustments
+const { query, getClient } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { logger } = require('../utils/logger');
+
+const RESERVATION_MINUTES = parseInt(process.env.INVENTORY_RESERVATION_MINUTES) || 30;
+const MANUAL_ADJUSTMENT_REASONS = ['restock', 'correction', 'damage', 'return', 'other'];
+
+// Sum quantities per product, since a cart may list the same product twice
+const quantitiesByProduct = (lines) => {
+  const quantities = new Map();
+  for (const line of lines) {
+    quantities.set(line.productId, (quantities.get(line.productId) || 0) + line.quantity);
+  }
+  return quantities;
+};
+
+// Change a product's stock and record why, using the caller's transaction
+const applyStockChange = async (client, { productId, quantityChange, reason, note = null, orderId = null, createdBy = null }) => {
+  const productResult = await client.query(
+    `UPDATE products
+     SET stock_quantity = stock_quantity + $1
+     WHERE id = $2
+     RETURNING *`,
+    [quantityChange, productId]
+  );
+  const product = productResult.rows[0];
+
+  if (!product) {
+    return null;
+  }
+
+  const adjustmentResult = await client.query(
+    `INSERT INTO inventory_adjustments (
+       product_id, quantity_change, quantity_after, reason, note, order_id, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [productId, quantityChange, product.stock_quantity, reason, note, orderId, createdBy]
+  );
+
+  return { product, adjustment: adjustmentResult.rows[0] };
+};
+
+class InventoryService {
+
+  // Hold stock for a payment intent until it is paid, released or expires.
+  // Throws a 409 if any product doesn't have enough unreserved stock.
+  static async reserveStock(paymentIntentId, lines) {
+    const client = await getClient();
+    const quantities = quantitiesByProduct(lines);
+    const productIds = [...quantities.keys()];
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the product rows so concurrent checkouts queue here, then count
+      // the reservations in a separate statement: its snapshot is taken once
+      // the lock is held, so it sees what the checkout ahead of this one
+      // reserved
+      const productsResult = await client.query(
+        `SELECT id, name, stock_quantity
+         FROM products
+         WHERE id = ANY($1::int[])
+         ORDER BY id
+         FOR UPDATE`,
+        [productIds]
+      );
+
+      const reservedResult = await client.query(
+        `SELECT product_id, SUM(quantity)::int AS reserved_quantity
+         FROM stock_reservations
+         WHERE product_id = ANY($1::int[])
+           AND status = 'active'
+           AND expires_at > NOW()
+         GROUP BY product_id`,
+        [productIds]
+      );
+      const reserved = new Map(reservedResult.rows.map(row => [row.product_id, row.reserved_quantity]));
+
+      for (const product of productsResult.rows) {
+        const available = product.stock_quantity - (reserved.get(product.id) || 0);
+        const requested = quantities.get(product.id);
+
+        if (requested > available) {
+          throw createHttpError(409, `Only ${Math.max(available, 0)} of ${product.name} left in stock`, {
+            productId: product.id,
+            available: Math.max(available, 0),
+            requested
+          });
+        }
+      }
+
+      const reservationResult = await client.query(
+        `INSERT INTO stock_reservations (stripe_payment_intent_id, product_id, quantity, expires_at)
+         SELECT $1, product_id, quantity, NOW() + make_interval(mins => $4)
+         FROM unnest($2::int[], $3::int[]) AS requested(product_id, quantity)
+         RETURNING expires_at`,
+        [paymentIntentId, productIds, productIds.map(id => quantities.get(id)), RESERVATION_MINUTES]
+      );
+
+      await client.query('COMMIT');
+
+      return { expiresAt: reservationResult.rows[0]?.expires_at || null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        logger.error('Error reserving stock', { error });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Turn a payment intent's reservation into a stock decrement. Runs inside the
+  // order transaction; stock is decremented even if the reservation expired,
+  // because the customer has already paid.
+  static async commitReservation(client, { paymentIntentId, orderId, lines }) {
+    const quantities = quantitiesByProduct(lines);
+    const productIds = [...quantities.keys()].sort((a, b) => a - b);
+
+    await client.query(
+      'SELECT id FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+      [productIds]
+    );
+
+    for (const productId of productIds) {
+      await applyStockChange(client, {
+        productId,
+        quantityChange: -quantities.get(productId),
+        reason: 'sale',
+        orderId
+      });
+    }
+
+    await client.query(
+      `UPDATE stock_reservations SET status = 'converted'
+       WHERE stripe_payment_intent_id = $1 AND status = 'active'`,
+      [paymentIntentId]
+    );
+  }
+
+  // Give a payment intent's held stock back (payment failed or was canceled)
+  static async releaseReservation(paymentIntentId) {
+    try {
+      const result = await query(
+        `UPDATE stock_reservations SET status = 'released'
+         WHERE stripe_payment_intent_id = $1 AND status = 'active'`,
+        [paymentIntentId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error releasing stock reservation', { error });
+      throw error;
+    }
+  }
+
+  // Put a cancelled order's items back in stock, inside the caller's transaction
+  static async restockOrder(client, { orderId, createdBy = null }) {
+    const itemsResult = await client.query(
+      `SELECT product_id, SUM(quantity)::int AS quantity
+       FROM order_items
+       WHERE order_id = $1 AND product_id IS NOT NULL
+       GROUP BY product_id
+       ORDER BY product_id`,
+      [orderId]
+    );
+
+    for (const item of itemsResult.rows) {
+      await applyStockChange(client, {
+        productId: item.product_id,
+        quantityChange: item.quantity,
+        reason: 'cancellation',
+        orderId,
+        createdBy
+      });
+    }
+  }
+
+  // Mark reservations past their expiry so they read correctly in the table
+  static async expireReservations() {
+    try {
+      const result = await query(
+        `UPDATE stock_reservations SET status = 'expired'
+         WHERE status = 'active' AND expires_at <= NOW()`
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error expiring stock reservations', { error });
+      throw error;
+    }
+  }
+
+  // Manual stock adjustment by an admin. Throws a 409 if it would take the
+  // stock below zero (sales can, so a paid order is always recorded).
+  static async adjustStock(productId, { quantityChange, reason, note, createdBy }) {
+    if (!Number.isInteger(quantityChange) || quantityChange === 0) {
+      throw createHttpError(400, 'quantityChange must be a non-zero integer');
+    }
+    if (!MANUAL_ADJUSTMENT_REASONS.includes(reason)) {
+      throw createHttpError(400, 'Invalid reason', { validReasons: MANUAL_ADJUSTMENT_REASONS });
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Locked so a concurrent sale or adjustment can't slip in between the
+      // check and the change
+      const productResult = await client.query(
+        'SELECT stock_quantity FROM products WHERE id = $1 FOR UPDATE',
+        [productId]
+      );
+      const product = productResult.rows[0];
+      if (!product) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (product.stock_quantity + quantityChange < 0) {
+        throw createHttpError(409, `Only ${product.stock_quantity} in stock, can't remove ${-quantityChange}`, {
+          stockQuantity: product.stock_quantity
+        });
+      }
+
+      const result = await applyStockChange(client, {
+        productId,
+        quantityChange,
+        reason,
+        note: note || null,
+        createdBy: createdBy || null
+      });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        logger.error('Error adjusting stock', { error });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Active products whose unreserved stock is at or below their threshold
+  // (or the given threshold, when one is passed)
+  static async getLowStockProducts(threshold = null) {
+    try {
+      const result = await query(
+        `SELECT * FROM (
+           SELECT p.*,
+                  COALESCE(r.reserved_quantity, 0)::int AS reserved_quantity,
+                  p.stock_quantity - COALESCE(r.reserved_quantity, 0)::int AS available_quantity
+           FROM products p
+           LEFT JOIN (
+             SELECT product_id, SUM(quantity) AS reserved_quantity
+             FROM stock_reservations
+             WHERE status = 'active' AND expires_at > NOW()
+             GROUP BY product_id
+           ) r ON r.product_id = p.id
+           WHERE p.is_active = true
+         ) stock
+         WHERE available_quantity <= COALESCE($1, low_stock_threshold)
+         ORDER BY available_quantity ASC`,
+        [threshold]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching low stock products', { error });
+      throw error;
+    }
+  }
+
+  static async getAdjustmentHistory(productId, limit = 50) {
+    try {
+      const result = await query(
+        `SELECT a.*, o.order_id AS order_number
+         FROM inventory_adjustments a
+         LEFT JOIN orders o ON o.id = a.order_id
+         WHERE a.product_id = $1
+         ORDER BY a.created_at DESC, a.id DESC
+         LIMIT $2`,
+        [productId, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching inventory adjustments', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,86 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { getClient } = require('../database/connection');
+const InventoryService = require('./inventoryService');
+
+// A database holding one product, behaving like Postgres in READ COMMITTED:
+// `FOR UPDATE` waits for the row lock, each statement sees what was committed
+// when it started, and a transaction's reservations are visible to others
+// once it commits
+const mockDatabase = ({ stock }) => {
+  const reservations = [];
+  let locked = Promise.resolve();
+
+  const reservedQuantity = () => reservations.reduce((sum, reservation) => sum + reservation.quantity, 0);
+
+  getClient.mockImplementation(async () => {
+    let unlock = () => {};
+    let inserted = [];
+
+    return {
+      query: jest.fn(async (sql, params) => {
+        if (/FOR UPDATE/.test(sql)) {
+          // Anything the statement reads besides the locked row is from
+          // before the wait
+          const reservedBeforeLock = reservedQuantity();
+          const previous = locked;
+          locked = new Promise(resolve => { unlock = resolve; });
+          await previous;
+          return { rows: [{ id: 1, name: 'Serum', stock_quantity: stock, reserved_quantity: String(reservedBeforeLock) }] };
+        }
+        if (/FROM stock_reservations/.test(sql)) {
+          return { rows: reservations.length > 0 ? [{ product_id: 1, reserved_quantity: reservedQuantity() }] : [] };
+        }
+        if (/INSERT INTO stock_reservations/.test(sql)) {
+          inserted = params[1].map((productId, index) => ({ productId, quantity: params[2][index] }));
+          return { rows: [{ expires_at: new Date() }] };
+        }
+        if (sql === 'COMMIT') {
+          reservations.push(...inserted);
+        }
+        if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+          unlock();
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+  });
+
+  return { reservations };
+};
+
+describe('InventoryService.reserveStock', () => {
+  test('reserves stock that is available', async () => {
+    const { reservations } = mockDatabase({ stock: 3 });
+
+    const reservation = await InventoryService.reserveStock('pi_1', [
+      { productId: 1, quantity: 1 },
+      { productId: 1, quantity: 1 }
+    ]);
+
+    expect(reservation.expiresAt).toBeInstanceOf(Date);
+    expect(reservations).toEqual([{ productId: 1, quantity: 2 }]);
+  });
+
+  test('counts other checkouts against the stock', async () => {
+    mockDatabase({ stock: 3 });
+    await InventoryService.reserveStock('pi_1', [{ productId: 1, quantity: 2 }]);
+
+    await expect(InventoryService.reserveStock('pi_2', [{ productId: 1, quantity: 2 }]))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Only 1 of Serum left in stock', details: { available: 1, requested: 2 } });
+  });
+
+  test('lets only one of two concurrent checkouts take the last unit', async () => {
+    const { reservations } = mockDatabase({ stock: 1 });
+
+    const results = await Promise.allSettled([
+      InventoryService.reserveStock('pi_1', [{ productId: 1, quantity: 1 }]),
+      InventoryService.reserveStock('pi_2', [{ productId: 1, quantity: 1 }])
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    expect(reservations).toEqual([{ productId: 1, quantity: 1 }]);
+  });
+});
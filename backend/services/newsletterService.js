@@ -1,49 +1,201 @@
-const { pool } = require('../database/connection');
+const { getClient } = require('../database/connection');
+const NotificationService = require('./notificationService');
+const { signToken, verifyToken } = require('../utils/signedTokens');
+const { logger } = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+
+const CONFIRM_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;        // 7 days
+const UNSUBSCRIBE_TOKEN_TTL_SECONDS = 5 * 365 * 24 * 60 * 60; // Links in old emails keep working
+const CONFIRMATION_RESEND_MINUTES = 5;
+
+const newsletterSignups = createCounter({
+  name: 'newsletter_signups_total',
+  help: 'Newsletter signups, by stage: requested (confirmation email sent) or confirmed',
+  labelNames: ['stage']
+});
+
+const backendUrl = () => (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+
+const unsubscribeUrl = (email) => {
+  const token = signToken({ email }, { purpose: 'newsletter-unsubscribe', expiresInSeconds: UNSUBSCRIBE_TOKEN_TTL_SECONDS });
+  return `${backendUrl()}/api/newsletter/unsubscribe?token=${token}`;
+};
+
+const confirmUrl = (email) => {
+  const token = signToken({ email }, { purpose: 'newsletter-confirm', expiresInSeconds: CONFIRM_TOKEN_TTL_SECONDS });
+  return `${backendUrl()}/api/newsletter/confirm?token=${token}`;
+};
+
+// Append to the consent audit trail
+const recordConsentEvent = (client, subscriptionId, event, consent = {}) => client.query(
+  `INSERT INTO newsletter_consent_events (subscription_id, event, source, consent_text, ip_address, user_agent)
+   VALUES ($1, $2, $3, $4, $5, $6)`,
+  [subscriptionId, event, consent.source || null, consent.consentText || null, consent.ip || null, consent.userAgent || null]
+);
 
 class NewsletterService {
-  static async subscribe(email) {
+  // Start a double opt-in: the subscription stays pending until the emailed
+  // confirmation link is clicked. `consent` ({ source, consentText, ip, userAgent })
+  // is kept as proof of opt-in.
+  static async subscribe(email, consent = {}) {
+    const client = await getClient();
+    const normalizedEmail = email.trim().toLowerCase();
+
+    try {
+      await client.query('BEGIN');
+
+      const existingResult = await client.query(
+        'SELECT * FROM newsletter_subscriptions WHERE email = $1 FOR UPDATE',
+        [normalizedEmail]
+      );
+      const existing = existingResult.rows[0];
+
+      // Nothing to send for an address that's already active or just got a
+      // confirmation email. The response is the same either way so it can't be
+      // used to find out who is on the list.
+      const recentlySent = existing && existing.status === 'pending' && existing.confirmation_sent_at &&
+        Date.now() - new Date(existing.confirmation_sent_at).getTime() < CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+
+      if ((existing && existing.status === 'active') || recentlySent) {
+        await client.query('COMMIT');
+        return {
+          success: true,
+          status: 'pending',
+          message: 'Please check your email to confirm your subscription'
+        };
+      }
+
+      const result = await client.query(
+        `INSERT INTO newsletter_subscriptions (email, status, is_active, source, consent_text, confirmation_sent_at)
+         VALUES ($1, 'pending', false, $2, $3, CURRENT_TIMESTAMP)
+         ON CONFLICT (email)
+         DO UPDATE SET status = 'pending', is_active = false,
+                       source = EXCLUDED.source, consent_text = EXCLUDED.consent_text,
+                       subscribed_at = CURRENT_TIMESTAMP, confirmation_sent_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [normalizedEmail, consent.source || null, consent.consentText || null]
+      );
+      const subscription = result.rows[0];
+
+      await recordConsentEvent(client, subscription.id, 'subscribed', consent);
+
+      await NotificationService.enqueue(client, {
+        template: 'newsletterConfirmation',
+        to: normalizedEmail,
+        data: {
+          confirmUrl: confirmUrl(normalizedEmail),
+          unsubscribeUrl: unsubscribeUrl(normalizedEmail)
+        }
+      });
+
+      await client.query('COMMIT');
+      newsletterSignups.inc({ stage: 'requested' });
+
+      return {
+        success: true,
+        status: 'pending',
+        message: 'Please check your email to confirm your subscription'
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in newsletter subscription', { error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Activate a pending subscription from a signed confirmation token.
+  // Returns null if the token is invalid or expired.
+  static async confirm(token, consent = {}) {
+    const payload = verifyToken(token, 'newsletter-confirm');
+    if (!payload) {
+      return null;
+    }
+
+    const client = await getClient();
+
     try {
-      const result = await pool.query(
-        `INSERT INTO newsletter_subscriptions (email) 
-         VALUES ($1) 
-         ON CONFLICT (email) 
-         DO UPDATE SET is_active = true, subscribed_at = CURRENT_TIMESTAMP
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE newsletter_subscriptions
+         SET status = 'active', is_active = true, confirmed_at = CURRENT_TIMESTAMP, unsubscribed_at = NULL
+         WHERE email = $1 AND status = 'pending'
          RETURNING *`,
-        [email]
+        [payload.email]
       );
 
+      if (result.rows[0]) {
+        await recordConsentEvent(client, result.rows[0].id, 'confirmed', consent);
+      }
+
+      await client.query('COMMIT');
+      if (result.rows[0]) {
+        newsletterSignups.inc({ stage: 'confirmed' });
+      }
+
       return {
         success: true,
-        message: 'Successfully subscribed to newsletter',
-        subscription: result.rows[0]
+        message: 'Your newsletter subscription is confirmed'
       };
     } catch (error) {
-      console.error('Error in newsletter subscription:', error);
+      await client.query('ROLLBACK');
+      logger.error('Error confirming newsletter subscription', { error });
       throw error;
+    } finally {
+      client.release();
     }
   }
 
-  static async unsubscribe(email) {
+  // Unsubscribe from a signed one-click token. Returns null if the token is invalid.
+  static async unsubscribeWithToken(token, consent = {}) {
+    const payload = verifyToken(token, 'newsletter-unsubscribe');
+    if (!payload) {
+      return null;
+    }
+
+    try {
+      return await NewsletterService.unsubscribe(payload.email, consent);
+    } catch (error) {
+      if (error.message === 'Email not found in subscription list') {
+        return { success: true, message: 'Successfully unsubscribed from newsletter' };
+      }
+      throw error;
+    }
+  }
+
+  static async unsubscribe(email, consent = {}) {
+    const client = await getClient();
+
     try {
-      const result = await pool.query(
-        `UPDATE newsletter_subscriptions 
-         SET is_active = false 
-         WHERE email = $1 
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE newsletter_subscriptions
+         SET is_active = false, status = 'unsubscribed', unsubscribed_at = CURRENT_TIMESTAMP
+         WHERE email = $1
          RETURNING *`,
-        [email]
+        [email.trim().toLowerCase()]
       );
 
       if (result.rows.length === 0) {
         throw new Error('Email not found in subscription list');
       }
 
+      await recordConsentEvent(client, result.rows[0].id, 'unsubscribed', consent);
+      await client.query('COMMIT');
+
       return {
         success: true,
         message: 'Successfully unsubscribed from newsletter'
       };
     } catch (error) {
-      console.error('Error in newsletter unsubscription:', error);
+      await client.query('ROLLBACK');
+      logger.error('Error in newsletter unsubscription', { error });
       throw error;
+    } finally {
+      client.release();
     }
   }
 }
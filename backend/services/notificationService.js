@@ -0,0 +1,132 @@
+// Notification Service - Queues transactional emails in email_outbox and
+// delivers them with retries
+const { query } = require('../database/connection');
+const { renderTemplate } = require('../notifications/templates');
+const { createTransport } = require('../notifications/transports');
+const { logger } = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 8;
+const BATCH_SIZE = 20;
+const EMAIL_FROM = process.env.EMAIL_FROM || 'KK Beauty <orders@kkbeauty.com>';
+
+let transport;
+let processing = false;
+
+// Minutes to wait before retry number `attempts`: 1, 2, 4, ... capped at an hour
+const retryDelayMinutes = (attempts) => Math.min(2 ** (attempts - 1), 60);
+
+class NotificationService {
+
+  // Render `template` and queue it for `to`. Pass the caller's transaction
+  // client so the email is only queued if the surrounding change commits.
+  static async enqueue(client, { template, to, data, orderId = null }) {
+    const { subject, text, html, headers } = renderTemplate(template, data);
+    const runQuery = client ? client.query.bind(client) : query;
+
+    try {
+      const result = await runQuery(
+        `INSERT INTO email_outbox (template, to_email, subject, text_body, html_body, headers, order_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [template, to, subject, text, html || null, headers ? JSON.stringify(headers) : null, orderId]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error queueing email', { error });
+      throw error;
+    }
+  }
+
+  // Deliver due emails. Rows are claimed with SKIP LOCKED so several server
+  // instances can run this at once; rows stuck in 'sending' (e.g. the process
+  // died mid-send) are picked up again after 10 minutes.
+  static async processOutbox() {
+    if (processing) {
+      return { sent: 0, failed: 0 };
+    }
+    processing = true;
+
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      transport = transport || createTransport();
+
+      const claimResult = await query(
+        `UPDATE email_outbox
+         SET status = 'sending', attempts = attempts + 1
+         WHERE id IN (
+           SELECT id FROM email_outbox
+           WHERE (status = 'pending' AND next_attempt_at <= NOW())
+              OR (status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes')
+           ORDER BY id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [BATCH_SIZE]
+      );
+
+      for (const email of claimResult.rows) {
+        try {
+          await transport.send({
+            from: EMAIL_FROM,
+            to: email.to_email,
+            subject: email.subject,
+            text: email.text_body,
+            html: email.html_body || undefined,
+            headers: email.headers || undefined
+          }, { template: email.template });
+
+          await query(
+            `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1`,
+            [email.id]
+          );
+          sent++;
+        } catch (sendError) {
+          const gaveUp = email.attempts >= MAX_ATTEMPTS;
+
+          await query(
+            `UPDATE email_outbox
+             SET status = $2,
+                 last_error = $3,
+                 next_attempt_at = NOW() + make_interval(mins => $4)
+             WHERE id = $1`,
+            [email.id, gaveUp ? 'failed' : 'pending', sendError.message, retryDelayMinutes(email.attempts)]
+          );
+          failed++;
+
+          logger.error('Failed to send email', { emailId: email.id, attempt: email.attempts, maxAttempts: MAX_ATTEMPTS, error: sendError.message });
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing email outbox', { error });
+    } finally {
+      processing = false;
+    }
+
+    return { sent, failed };
+  }
+
+  // Outbox entries for auditing, newest first
+  static async listOutbox({ status = null, limit = 50 } = {}) {
+    try {
+      const result = await query(
+        `SELECT e.id, e.template, e.to_email, e.subject, e.status, e.attempts, e.last_error,
+                e.next_attempt_at, e.sent_at, e.created_at, o.order_id AS order_number
+         FROM email_outbox e
+         LEFT JOIN orders o ON o.id = e.order_id
+         WHERE $1::text IS NULL OR e.status = $1
+         ORDER BY e.created_at DESC
+         LIMIT $2`,
+        [status, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching email outbox', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationService;
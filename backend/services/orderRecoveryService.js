@@ -0,0 +1,294 @@
+// Order Recovery Service - Orders that couldn't be saved after a successful
+// payment (e.g. the database was down) are written to an append-only journal
+// on local disk and replayed into OrderService.createOrder until they stick
+//
+// The journal is a JSON Lines file (ORDER_JOURNAL_PATH, default
+// order-journal.jsonl on the Railway volume if one is mounted, else
+// ./data/order-journal.jsonl). It must outlive the container, so production
+// refuses to start without either (see index.js). Each line is one event for
+// a payment intent:
+//   queued    - the order data, with the order number the customer was shown
+//   failed    - a replay attempt failed; retried after nextAttemptAt
+//   gave_up   - replays stopped after too many attempts
+//   requeued  - an admin asked for the order to be replayed again
+//   recovered - the order is in the database
+// Replaying the events rebuilds the current state on startup. Recovered
+// entries are dropped when the journal is compacted at startup.
+const fs = require('fs');
+const path = require('path');
+const OrderService = require('./orderService');
+const { createHttpError } = require('../utils/httpError');
+const { logger } = require('../utils/logger');
+const { createCounter, createGauge } = require('../utils/metrics');
+
+const JOURNAL_PATH = path.resolve(process.env.ORDER_JOURNAL_PATH || (process.env.RAILWAY_VOLUME_MOUNT_PATH
+  ? path.join(process.env.RAILWAY_VOLUME_MOUNT_PATH, 'order-journal.jsonl')
+  : './data/order-journal.jsonl'));
+const MAX_ATTEMPTS = parseInt(process.env.ORDER_RECOVERY_MAX_ATTEMPTS) || 50;
+
+// Payment intent ID -> entry
+let entries;
+let loading;
+let processing = false;
+// Appends are chained so lines never interleave
+let writing = Promise.resolve();
+
+const ordersRecovered = createCounter({
+  name: 'orders_recovered_total',
+  help: 'Journaled orders replayed into the database'
+});
+
+createGauge({
+  name: 'orders_journal_unresolved',
+  help: 'Journaled orders not yet in the database (pending or given up)',
+  collect: () => (entries ? [...entries.values()].filter(entry => entry.status !== 'recovered').length : 0)
+});
+
+// 30 seconds after the first failure, doubling up to an hour
+const retryDelayMs = (attempts) => Math.min(30 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+
+const applyEvent = (event) => {
+  const entry = entries.get(event.paymentIntentId);
+
+  switch (event.event) {
+    case 'queued':
+      entries.set(event.paymentIntentId, {
+        paymentIntentId: event.paymentIntentId,
+        orderNumber: event.orderNumber,
+        orderData: event.orderData,
+        status: event.status || 'pending',
+        attempts: event.attempts || 0,
+        lastError: event.lastError || null,
+        nextAttemptAt: event.nextAttemptAt || event.at,
+        queuedAt: event.queuedAt || event.at,
+        recoveredOrderId: null,
+        updatedAt: event.at
+      });
+      return;
+    case 'failed':
+      Object.assign(entry, { attempts: event.attempts, lastError: event.error, nextAttemptAt: event.nextAttemptAt });
+      break;
+    case 'gave_up':
+      Object.assign(entry, { status: 'failed', attempts: event.attempts, lastError: event.error, nextAttemptAt: null });
+      break;
+    case 'requeued':
+      Object.assign(entry, { status: 'pending', nextAttemptAt: event.at });
+      break;
+    case 'recovered':
+      Object.assign(entry, { status: 'recovered', recoveredOrderId: event.orderId, nextAttemptAt: null });
+      break;
+  }
+  entry.updatedAt = event.at;
+};
+
+// Append `event` to the journal and flush it to disk before applying it
+const record = (event) => {
+  event = { ...event, at: new Date().toISOString() };
+  const line = `${JSON.stringify(event)}\n`;
+
+  const write = writing.then(async () => {
+    const file = await fs.promises.open(JOURNAL_PATH, 'a');
+    try {
+      await file.appendFile(line);
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+  });
+  writing = write.catch(() => {});
+
+  return write.then(() => applyEvent(event));
+};
+
+// Read the journal into memory, then rewrite it with only the entries that
+// still need attention
+const load = async () => {
+  entries = new Map();
+  await fs.promises.mkdir(path.dirname(JOURNAL_PATH), { recursive: true });
+
+  let contents = '';
+  try {
+    contents = await fs.promises.readFile(JOURNAL_PATH, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      applyEvent(JSON.parse(line));
+    } catch (parseError) {
+      // A line cut short by a crash mid-write; everything before it is intact
+      logger.warn('Skipping unreadable order journal line', { length: line.length });
+    }
+  }
+
+  const unresolved = [...entries.values()].filter(entry => entry.status !== 'recovered');
+  if (contents === '' || (unresolved.length === entries.size && contents.endsWith('\n'))) {
+    return;
+  }
+
+  const compacted = unresolved
+    .map(entry => JSON.stringify({ event: 'queued', at: entry.updatedAt, ...entry }) + '\n')
+    .join('');
+  const temporaryPath = `${JOURNAL_PATH}.tmp`;
+  await fs.promises.writeFile(temporaryPath, compacted);
+  await fs.promises.rename(temporaryPath, JOURNAL_PATH);
+};
+
+const ready = () => {
+  loading = loading || load().catch(error => {
+    loading = null;
+    throw error;
+  });
+  return loading;
+};
+
+class OrderRecoveryService {
+
+  // Journal the order for a paid payment intent so it is saved once the
+  // database is back. Queuing the same payment intent again keeps the
+  // original entry. Returns the entry; orderNumber is the number to give the
+  // customer.
+  static async enqueue(orderData, orderNumber) {
+    try {
+      await ready();
+
+      const existing = entries.get(orderData.stripePaymentIntentId);
+      if (existing && existing.status !== 'recovered') {
+        return existing;
+      }
+
+      await record({
+        event: 'queued',
+        paymentIntentId: orderData.stripePaymentIntentId,
+        orderNumber,
+        orderData: { ...orderData, orderNumber }
+      });
+
+      logger.warn('Order journaled, will retry saving it', { orderId: orderNumber, paymentIntentId: orderData.stripePaymentIntentId });
+      return entries.get(orderData.stripePaymentIntentId);
+    } catch (error) {
+      logger.error('Error journaling order', { error });
+      throw error;
+    }
+  }
+
+  // Replay due entries into the database. Every entry is a paid order, so
+  // even a rejected one (e.g. a 4xx for a product that no longer exists) keeps
+  // being retried - with backoff - until MAX_ATTEMPTS, giving an admin time to
+  // fix the cause.
+  static async processJournal() {
+    if (processing) {
+      return { recovered: 0, failed: 0 };
+    }
+    processing = true;
+
+    let recovered = 0;
+    let failed = 0;
+
+    try {
+      await ready();
+      const now = Date.now();
+
+      for (const entry of entries.values()) {
+        if (entry.status !== 'pending' || Date.parse(entry.nextAttemptAt) > now) {
+          continue;
+        }
+
+        const attempts = entry.attempts + 1;
+
+        try {
+          const orderResult = await OrderService.createOrder(entry.orderData);
+          await record({ event: 'recovered', paymentIntentId: entry.paymentIntentId, orderId: orderResult.orderId });
+          recovered++;
+          ordersRecovered.inc();
+
+          logger.info('Journaled order recovered', { orderId: orderResult.orderId, paymentIntentId: entry.paymentIntentId });
+          if (orderResult.orderId !== entry.orderNumber) {
+            logger.warn('Journaled order saved under a different order number than the customer was given', {
+              paymentIntentId: entry.paymentIntentId,
+              orderId: orderResult.orderId,
+              journaledOrderId: entry.orderNumber
+            });
+          }
+        } catch (replayError) {
+          const gaveUp = attempts >= MAX_ATTEMPTS;
+          failed++;
+
+          await record(gaveUp
+            ? { event: 'gave_up', paymentIntentId: entry.paymentIntentId, attempts, error: replayError.message }
+            : {
+                event: 'failed',
+                paymentIntentId: entry.paymentIntentId,
+                attempts,
+                error: replayError.message,
+                nextAttemptAt: new Date(now + retryDelayMs(attempts)).toISOString()
+              });
+
+          logger.error('Failed to replay journaled order', { orderId: entry.orderNumber, attempt: attempts, error: replayError.message });
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing order journal', { error });
+    } finally {
+      processing = false;
+    }
+
+    return { recovered, failed };
+  }
+
+  // The entry for a payment intent, or null
+  static async getEntry(paymentIntentId) {
+    try {
+      await ready();
+      return entries.get(paymentIntentId) || null;
+    } catch (error) {
+      logger.error('Error reading order journal', { error });
+      throw error;
+    }
+  }
+
+  // Journal entries, newest first; `status` is pending, failed or recovered
+  static async getEntries(status) {
+    try {
+      await ready();
+      return [...entries.values()]
+        .filter(entry => !status || entry.status === status)
+        .sort((a, b) => b.queuedAt.localeCompare(a.queuedAt));
+    } catch (error) {
+      logger.error('Error reading order journal', { error });
+      throw error;
+    }
+  }
+
+  // Replay an entry on the next run, resetting a failed one. Returns null if
+  // there's no entry for the payment intent.
+  static async retry(paymentIntentId, { actor } = {}) {
+    try {
+      await ready();
+
+      const entry = entries.get(paymentIntentId);
+      if (!entry) {
+        return null;
+      }
+      if (entry.status === 'recovered') {
+        throw createHttpError(409, 'Order has already been recovered');
+      }
+
+      await record({ event: 'requeued', paymentIntentId, actor: actor || null });
+      return entry;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error requeuing journaled order', { error });
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = OrderRecoveryService;
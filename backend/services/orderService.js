@@ -1,5 +1,179 @@
 // Order Service - Handles database operations for orders
+const crypto = require('crypto');
 const { query, getClient } = require('../database/connection');
+const PricingService = require('./pricingService');
+const InventoryService = require('./inventoryService');
+const NotificationService = require('./notificationService');
+const DiscountService = require('./discountService');
+const CustomerService = require('./customerService');
+const { fromCents } = require('../utils/money');
+const { createHttpError } = require('../utils/httpError');
+const { estimateDelivery } = require('../utils/deliveryEstimate');
+const { generateOrderNumber, normalizeOrderNumber, isValidOrderNumber } = require('../utils/orderNumber');
+const { signToken, verifyToken } = require('../utils/signedTokens');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { logger } = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+
+const ordersCreated = createCounter({
+  name: 'orders_created_total',
+  help: 'Orders saved, by currency',
+  labelNames: ['currency']
+});
+
+// Attempts at a fresh order number if a generated one is already taken
+const ORDER_NUMBER_ATTEMPTS = 5;
+
+// An order with its items and the amount refunded so far, as returned by
+// getOrderById; select FROM orders o, grouped by o.id
+const ORDER_DETAILS_COLUMNS = `
+  o.*,
+  json_agg(
+    json_build_object(
+      'id', oi.id,
+      'product_id', oi.product_id,
+      'product_name', oi.product_name,
+      'product_price', oi.product_price,
+      'quantity', oi.quantity,
+      'total_price', oi.total_price,
+      'discount_amount', oi.discount_amount,
+      'tax_rate', oi.tax_rate,
+      'tax_amount', oi.tax_amount
+    )
+  ) as items,
+  (
+    SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+    WHERE r.order_id = o.id AND r.status IN ('pending', 'succeeded', 'requires_action')
+  ) as refunded_amount`;
+
+// Order links in emails keep working for a while after delivery
+const LOOKUP_TOKEN_TTL_SECONDS = (parseInt(process.env.ORDER_LOOKUP_TOKEN_TTL_DAYS) || 90) * 24 * 60 * 60;
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Fixed-length digest of a normalized email, for constant-time comparison
+const emailDigest = (email) => crypto.createHash('sha256').update(String(email ?? '').trim().toLowerCase()).digest();
+
+// Allowed order status transitions. Orders can only be cancelled before they
+// ship; delivered and cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const PAYMENT_STATUSES = ['succeeded', 'failed', 'partially_refunded', 'refunded'];
+
+// Sort options for listOrders -> column; every sort is tie-broken by id
+const ORDER_SORTS = {
+  createdAt: 'o.created_at',
+  totalAmount: 'o.total_amount',
+  customerName: 'o.customer_name'
+};
+
+// Comma-separated list from a query string value
+const listParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// SQL conditions for listOrders filters. Each value is validated and passed
+// as a parameter, numbered after `values` already holding the caller's.
+const orderFilterConditions = (filters, values) => {
+  const conditions = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  const invalid = (name, details) => createHttpError(400, `Invalid ${name}`, details);
+
+  if (filters.status) {
+    const statuses = listParam(filters.status);
+    if (statuses.some(status => !ORDER_STATUS_TRANSITIONS[status])) {
+      throw invalid('status', { validStatuses: Object.keys(ORDER_STATUS_TRANSITIONS) });
+    }
+    conditions.push(`o.order_status = ANY(${param(statuses)}::varchar[])`);
+  }
+
+  if (filters.paymentStatus) {
+    const statuses = listParam(filters.paymentStatus);
+    if (statuses.some(status => !PAYMENT_STATUSES.includes(status))) {
+      throw invalid('paymentStatus', { validPaymentStatuses: PAYMENT_STATUSES });
+    }
+    conditions.push(`o.payment_status = ANY(${param(statuses)}::varchar[])`);
+  }
+
+  // `from` is inclusive and `to` exclusive; plain dates are midnight UTC
+  for (const [name, operator] of [['from', '>='], ['to', '<']]) {
+    if (filters[name]) {
+      const date = new Date(filters[name]);
+      if (Number.isNaN(date.getTime())) {
+        throw invalid(name, { expected: 'ISO 8601 date or timestamp' });
+      }
+      conditions.push(`o.created_at ${operator} ${param(date.toISOString())}::timestamptz`);
+    }
+  }
+
+  if (filters.country) {
+    const countries = listParam(filters.country).map(country => country.toUpperCase());
+    if (countries.some(country => !/^[A-Z]{2}$/.test(country))) {
+      throw invalid('country', { expected: 'two-letter ISO country codes' });
+    }
+    conditions.push(`o.customer_country = ANY(${param(countries)}::varchar[])`);
+  }
+
+  if (filters.currency) {
+    conditions.push(`o.currency = ${param(String(filters.currency).toUpperCase())}`);
+  }
+
+  // Totals are compared in each order's own currency
+  for (const [name, operator] of [['minTotal', '>='], ['maxTotal', '<=']]) {
+    if (filters[name] !== undefined && filters[name] !== '') {
+      const amount = Number(filters[name]);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw invalid(name, { expected: 'a non-negative amount' });
+      }
+      conditions.push(`o.total_amount ${operator} ${param(amount)}`);
+    }
+  }
+
+  // An order number is matched exactly (through the order_id index). Anything
+  // with an @ matches the customer account for that email, or part of the
+  // order email (e.g. "jane@gmail"); anything else is a case-insensitive
+  // substring of the order number, customer name or email.
+  const search = String(filters.q ?? '').trim();
+  if (search) {
+    const orderNumber = normalizeOrderNumber(search);
+    const pattern = () => param(`%${search.replace(/[\\%_]/g, character => `\\${character}`)}%`);
+    if (isValidOrderNumber(orderNumber)) {
+      conditions.push(`o.order_id = ${param(orderNumber)}`);
+    } else if (search.includes('@')) {
+      conditions.push(
+        `(o.customer_id = (SELECT id FROM customers WHERE email = ${param(search.toLowerCase())}) OR o.customer_email ILIKE ${pattern()})`
+      );
+    } else {
+      const substring = pattern();
+      conditions.push(`(o.order_id ILIKE ${substring} OR o.customer_name ILIKE ${substring} OR o.customer_email ILIKE ${substring})`);
+    }
+  }
+
+  return conditions;
+};
+
+// Compare what Stripe captured with the priced total. Returns null when the
+// captured amount isn't known (orders recorded without a payment intent).
+const reconcilePayment = (quote, { amountReceivedCents, currency }) => {
+  if (amountReceivedCents === null || amountReceivedCents === undefined) {
+    return null;
+  }
+  const currencyMatches = !currency || currency === quote.currency;
+  return currencyMatches && amountReceivedCents === quote.totalCents ? 'matched' : 'mismatched';
+};
+
+// Record a status change in order_status_history, inside the caller's transaction
+const recordStatusChange = (client, { orderId, fromStatus, toStatus, actor, reason }) => client.query(
+  `INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [orderId, fromStatus, toStatus, actor, reason || null]
+);
 
 class OrderService {
   
@@ -10,92 +184,301 @@ class OrderService {
     try {
       await client.query('BEGIN');
       
-      // Calculate totals
-      const subtotal = orderData.items.reduce((sum, item) => 
-        sum + (parseFloat(item.price.replace('$', '')) * item.quantity), 0
+      // Serialize creation per payment intent so the client-driven path and
+      // the Stripe webhook can't both insert an order for the same payment
+      await client.query(
+        'SELECT pg_advisory_xact_lock(hashtext($1))',
+        [orderData.stripePaymentIntentId]
+      );
+      
+      const existingResult = await client.query(
+        `SELECT id, order_id, total_amount, currency, shipping_min_days, shipping_max_days, created_at
+         FROM orders
+         WHERE stripe_payment_intent_id = $1
+         ORDER BY created_at ASC
+         LIMIT 1`,
+        [orderData.stripePaymentIntentId]
       );
-      const taxAmount = subtotal * 0.08; // 8% tax
-      const shippingAmount = 0; // Free shipping
-      const totalAmount = subtotal + taxAmount + shippingAmount;
       
-      // Generate friendly order ID
-      const friendlyOrderId = `KK-${Date.now().toString().slice(-6)}`;
+      if (existingResult.rows.length > 0) {
+        const existingOrder = existingResult.rows[0];
+        await client.query('COMMIT');
+        
+        logger.info('Order already exists for payment intent', { orderId: existingOrder.order_id, paymentIntentId: orderData.stripePaymentIntentId });
+        
+        return {
+          success: true,
+          orderId: existingOrder.order_id,
+          dbOrderId: existingOrder.id,
+          createdAt: existingOrder.created_at,
+          totalAmount: existingOrder.total_amount,
+          currency: existingOrder.currency,
+          ...OrderService.deliveryEstimate(existingOrder),
+          alreadyExists: true,
+          message: `Thank you ${orderData.customer.name}! Your order has been confirmed and will be processed shortly.`
+        };
+      }
+      
+      // Calculate totals from catalog prices, never from client-supplied prices
+      const quote = await PricingService.quoteCart(orderData.items, {
+        currency: orderData.currency || null,
+        exchangeRate: orderData.exchangeRate || null,
+        discountCode: orderData.discountCode || null,
+        email: orderData.customer.email,
+        address: orderData.customer,
+        shippingMethodId: orderData.shippingMethodId || null,
+        alreadyPaid: true
+      });
+      
+      const reconciliationStatus = reconcilePayment(quote, orderData);
+      
+      // Link the order to the customer account for its email (created if
+      // needed), which also saves a new shipping address to the account if
+      // the customer was signed in at checkout
+      const customerId = await CustomerService.recordOrderCustomer(client, orderData.customer, {
+        signedInCustomerId: orderData.signedInCustomerId || null
+      });
       
       // Insert main order
       const orderInsertQuery = `
         INSERT INTO orders (
           order_id, stripe_payment_intent_id, customer_name, customer_email, 
-          customer_address, customer_city, customer_postal_code, customer_country,
-          subtotal, tax_amount, shipping_amount, total_amount, currency, payment_status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-        RETURNING id, order_id, created_at
+          customer_address, customer_city, customer_region, customer_postal_code, customer_country,
+          subtotal, discount_code, discount_amount, tax_amount, tax_inclusive, shipping_amount,
+          shipping_method_id, shipping_method_name, shipping_min_days, shipping_max_days,
+          total_amount, currency, exchange_rate, payment_status, amount_received, reconciliation_status,
+          customer_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26)
+        RETURNING id, order_id, order_status, shipping_min_days, shipping_max_days, created_at
       `;
       
       const orderValues = [
-        friendlyOrderId,
+        null,                             // order number, filled in below
         orderData.stripePaymentIntentId,
         orderData.customer.name,
         orderData.customer.email,
         orderData.customer.address,
         orderData.customer.city || null,
+        orderData.customer.region || null,
         orderData.customer.postalCode || null,
-        orderData.customer.country || null,
-        subtotal.toFixed(2),
-        taxAmount.toFixed(2),
-        shippingAmount.toFixed(2),
-        totalAmount.toFixed(2),
-        'USD',
-        'succeeded'
+        orderData.customer.country ? String(orderData.customer.country).trim().toUpperCase() : null,
+        fromCents(quote.subtotalCents, quote.currency),
+        quote.discountCode,
+        fromCents(quote.discountCents, quote.currency),
+        fromCents(quote.taxCents, quote.currency),
+        quote.taxInclusive,
+        fromCents(quote.shippingCents, quote.currency),
+        quote.shippingMethod.id,
+        quote.shippingMethod.name,
+        quote.shippingMethod.minTransitDays,
+        quote.shippingMethod.maxTransitDays,
+        fromCents(quote.totalCents, quote.currency),
+        quote.currency,
+        quote.exchangeRate,
+        'succeeded',
+        reconciliationStatus ? fromCents(orderData.amountReceivedCents, quote.currency) : null,
+        reconciliationStatus,
+        customerId
       ];
       
-      const orderResult = await client.query(orderInsertQuery, orderValues);
-      const order = orderResult.rows[0];
+      // A clash on the random order number is vanishingly rare, but it
+      // mustn't roll back a paid order: retry with a new number. An order the
+      // customer was already given a number for (see OrderRecoveryService)
+      // keeps that number if it's free.
+      let order;
+      for (let attempt = 1; !order; attempt++) {
+        orderValues[0] = attempt === 1 && orderData.orderNumber ? orderData.orderNumber : generateOrderNumber();
+        await client.query('SAVEPOINT order_number');
+        try {
+          const orderResult = await client.query(orderInsertQuery, orderValues);
+          order = orderResult.rows[0];
+        } catch (insertError) {
+          if (insertError.code !== '23505' || insertError.constraint !== 'orders_order_id_key' || attempt >= ORDER_NUMBER_ATTEMPTS) {
+            throw insertError;
+          }
+          await client.query('ROLLBACK TO SAVEPOINT order_number');
+          logger.warn('Order number already taken, retrying', { orderId: orderValues[0] });
+        }
+      }
+      
+      logger.info('Order created', {
+        orderId: order.order_id,
+        paymentIntentId: orderData.stripePaymentIntentId,
+        totalCents: quote.totalCents,
+        currency: quote.currency,
+        itemCount: quote.lines.length
+      });
       
-      console.log('✅ Order created:', order);
+      // The customer has paid, so the order is still recorded; an admin
+      // reviews it from /api/admin/orders/reconciliation
+      if (reconciliationStatus === 'mismatched') {
+        logger.warn('Order flagged for review: captured amount differs from order total', {
+          orderId: order.order_id,
+          amountReceivedCents: orderData.amountReceivedCents,
+          totalCents: quote.totalCents,
+          currency: quote.currency
+        });
+      }
       
       // Insert order items
       const itemInsertQuery = `
         INSERT INTO order_items (
-          order_id, product_id, product_name, product_price, quantity, total_price
-        ) VALUES ($1, $2, $3, $4, $5, $6)
+          order_id, product_id, product_name, product_price, quantity, total_price, discount_amount,
+          tax_rate, tax_amount, currency
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       `;
       
-      for (const item of orderData.items) {
-        const itemPrice = parseFloat(item.price.replace('$', ''));
-        const itemTotal = itemPrice * item.quantity;
-        
+      for (const line of quote.lines) {
         await client.query(itemInsertQuery, [
           order.id,
-          item.id,
-          item.name,
-          itemPrice.toFixed(2),
-          item.quantity,
-          itemTotal.toFixed(2)
+          line.productId,
+          line.name,
+          fromCents(line.unitPriceCents, quote.currency),
+          line.quantity,
+          fromCents(line.lineTotalCents, quote.currency),
+          fromCents(line.discountCents, quote.currency),
+          line.taxRate,
+          fromCents(line.taxCents, quote.currency),
+          quote.currency
         ]);
-        
-        console.log('✅ Order item added:', item.name, 'x', item.quantity);
       }
       
+      if (quote.discountCode) {
+        await DiscountService.recordRedemption(client, {
+          code: quote.discountCode,
+          orderId: order.id,
+          paymentIntentId: orderData.stripePaymentIntentId,
+          email: orderData.customer.email,
+          amountCents: quote.discountCents,
+          currency: quote.currency
+        });
+      }
+      
+      await recordStatusChange(client, {
+        orderId: order.id,
+        fromStatus: null,
+        toStatus: order.order_status,
+        actor: 'system',
+        reason: 'Order created'
+      });
+      
+      // Convert the checkout reservation into a stock decrement
+      await InventoryService.commitReservation(client, {
+        paymentIntentId: orderData.stripePaymentIntentId,
+        orderId: order.id,
+        lines: quote.lines
+      });
+      
+      await NotificationService.enqueue(client, {
+        template: 'orderConfirmation',
+        to: orderData.customer.email,
+        orderId: order.id,
+        data: {
+          orderId: order.order_id,
+          customerName: orderData.customer.name,
+          items: quote.lines.map(line => ({
+            name: line.name,
+            quantity: line.quantity,
+            total: fromCents(line.lineTotalCents, quote.currency)
+          })),
+          currency: quote.currency,
+          subtotal: fromCents(quote.subtotalCents, quote.currency),
+          discountCode: quote.discountCode,
+          discountAmount: fromCents(quote.discountCents, quote.currency),
+          taxAmount: fromCents(quote.taxCents, quote.currency),
+          taxInclusive: quote.taxInclusive,
+          shippingAmount: fromCents(quote.shippingCents, quote.currency),
+          totalAmount: fromCents(quote.totalCents, quote.currency),
+          orderUrl: OrderService.lookupUrl(order.order_id)
+        }
+      });
+      
       await client.query('COMMIT');
+      ordersCreated.inc({ currency: quote.currency });
       
       return {
         success: true,
         orderId: order.order_id,
         dbOrderId: order.id,
         createdAt: order.created_at,
-        totalAmount: totalAmount.toFixed(2),
+        totalAmount: fromCents(quote.totalCents, quote.currency),
+        currency: quote.currency,
+        reconciliationStatus,
+        ...OrderService.deliveryEstimate(order),
         message: `Thank you ${orderData.customer.name}! Your order has been confirmed and will be processed shortly.`
       };
       
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('❌ Error creating order:', error);
+      logger.error('Error creating order', { error });
       throw error;
     } finally {
       client.release();
     }
   }
   
+  // Rebuild the order payload from the metadata /api/create-payment-intent
+  // stores on the payment intent, so orders never depend on the client's cart
+  static orderDataFromPaymentIntent(paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
+    
+    if (!metadata.orderItems || !metadata.customerEmail) {
+      return null;
+    }
+    
+    return {
+      stripePaymentIntentId: paymentIntent.id,
+      currency: paymentIntent.currency ? paymentIntent.currency.toUpperCase() : null,
+      amountReceivedCents: paymentIntent.amount_received ?? null,
+      exchangeRate: metadata.exchangeRate ? Number(metadata.exchangeRate) : null,
+      signedInCustomerId: metadata.customerId ? Number(metadata.customerId) : null,
+      customer: {
+        name: metadata.customerName,
+        email: metadata.customerEmail,
+        address: metadata.customerAddress,
+        city: metadata.customerCity || null,
+        region: metadata.customerRegion || null,
+        postalCode: metadata.customerPostalCode || null,
+        country: metadata.customerCountry || null
+      },
+      items: JSON.parse(metadata.orderItems),
+      discountCode: metadata.discountCode || null,
+      shippingMethodId: metadata.shippingMethodId || null
+    };
+  }
+  
+  // Signed token letting its holder view order `orderId` without the email
+  static createLookupToken(orderId) {
+    return signToken({ orderId }, { purpose: 'order-lookup', expiresInSeconds: LOOKUP_TOKEN_TTL_SECONDS });
+  }
+  
+  // Storefront link to an order, with a lookup token
+  static lookupUrl(orderId) {
+    return `${frontendUrl()}/#/orders/${orderId}?token=${OrderService.createLookupToken(orderId)}`;
+  }
+  
+  // Whether `email` or a lookup `token` proves the caller may see all of
+  // `order` (an orders row)
+  static canViewOrder(order, { email, token } = {}) {
+    if (token) {
+      const payload = verifyToken(token, 'order-lookup');
+      return Boolean(payload) && payload.orderId === order.order_id;
+    }
+    if (email) {
+      return crypto.timingSafeEqual(emailDigest(email), emailDigest(order.customer_email));
+    }
+    return false;
+  }
+  
+  // { estimatedDelivery, earliestDelivery, latestDelivery } for an orders row.
+  // Orders from before shipping methods were recorded get the old 3-5 days.
+  static deliveryEstimate(order) {
+    return estimateDelivery({
+      minDays: order.shipping_min_days ?? 3,
+      maxDays: order.shipping_max_days ?? 5
+    }, order.created_at);
+  }
+  
   // Get order by Stripe payment intent ID
   static async getOrderByPaymentIntent(paymentIntentId) {
     try {
@@ -108,7 +491,10 @@ class OrderService {
                    'product_name', oi.product_name,
                    'product_price', oi.product_price,
                    'quantity', oi.quantity,
-                   'total_price', oi.total_price
+                   'total_price', oi.total_price,
+                   'discount_amount', oi.discount_amount,
+                   'tax_rate', oi.tax_rate,
+                   'tax_amount', oi.tax_amount
                  )
                ) as items
         FROM orders o
@@ -120,7 +506,7 @@ class OrderService {
       const result = await query(orderQuery, [paymentIntentId]);
       return result.rows[0] || null;
     } catch (error) {
-      console.error('❌ Error fetching order:', error);
+      logger.error('Error fetching order', { error });
       throw error;
     }
   }
@@ -129,17 +515,7 @@ class OrderService {
   static async getOrderById(orderId) {
     try {
       const orderQuery = `
-        SELECT o.*, 
-               json_agg(
-                 json_build_object(
-                   'id', oi.id,
-                   'product_id', oi.product_id,
-                   'product_name', oi.product_name,
-                   'product_price', oi.product_price,
-                   'quantity', oi.quantity,
-                   'total_price', oi.total_price
-                 )
-               ) as items
+        SELECT ${ORDER_DETAILS_COLUMNS}
         FROM orders o
         LEFT JOIN order_items oi ON o.id = oi.order_id
         WHERE o.order_id = $1
@@ -149,55 +525,351 @@ class OrderService {
       const result = await query(orderQuery, [orderId]);
       return result.rows[0] || null;
     } catch (error) {
-      console.error('❌ Error fetching order by ID:', error);
+      logger.error('Error fetching order by ID', { error });
+      throw error;
+    }
+  }
+  
+  // A customer's orders, newest first, in the shape of getOrderById. Returns
+  // { orders, nextCursor }; pass nextCursor back as `cursor` for the next page.
+  static async getOrdersForCustomer(customerId, { limit = 10, cursor = null } = {}) {
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && (!after || after.length !== 2)) {
+      throw createHttpError(400, 'Invalid cursor');
+    }
+    
+    try {
+      // created_at is read back as text so the cursor keeps its full
+      // (microsecond) precision
+      const result = await query(
+        `SELECT ${ORDER_DETAILS_COLUMNS}, o.created_at::text AS cursor_created_at
+         FROM orders o
+         LEFT JOIN order_items oi ON o.id = oi.order_id
+         WHERE o.customer_id = $1
+           AND ($2::timestamptz IS NULL OR (o.created_at, o.id) < ($2::timestamptz, $3::int))
+         GROUP BY o.id
+         ORDER BY o.created_at DESC, o.id DESC
+         LIMIT $4`,
+        [customerId, after ? after[0] : null, after ? after[1] : null, limit + 1]
+      );
+      
+      const orders = result.rows.slice(0, limit);
+      const last = orders[orders.length - 1];
+      
+      return {
+        orders,
+        nextCursor: result.rows.length > limit ? encodeCursor([last.cursor_created_at, last.id]) : null
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error fetching customer orders', { error });
+      }
       throw error;
     }
   }
   
   // Update order status
-  static async updateOrderStatus(orderId, status) {
+  static async updateOrderStatus(orderId, status, { actor, reason = null }) {
+    const client = await getClient();
+    
     try {
+      await client.query('BEGIN');
+      
+      const currentResult = await client.query(
+        'SELECT id, order_status FROM orders WHERE order_id = $1 FOR UPDATE',
+        [orderId]
+      );
+      const currentOrder = currentResult.rows[0];
+      
+      if (!currentOrder) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      
+      const fromStatus = currentOrder.order_status;
+      const allowedTransitions = ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+      
+      if (!allowedTransitions.includes(status)) {
+        throw createHttpError(409, `Cannot change order status from ${fromStatus} to ${status}`, {
+          currentStatus: fromStatus,
+          allowedTransitions
+        });
+      }
+      
+      if (status === 'cancelled' && !reason) {
+        throw createHttpError(400, 'A reason is required to cancel an order');
+      }
+      
       const updateQuery = `
         UPDATE orders 
         SET order_status = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE order_id = $2
+        WHERE id = $2
+        RETURNING *
+      `;
+      
+      const result = await client.query(updateQuery, [status, currentOrder.id]);
+      
+      await recordStatusChange(client, {
+        orderId: currentOrder.id,
+        fromStatus,
+        toStatus: status,
+        actor,
+        reason
+      });
+      
+      // Cancelled orders release their stock back to inventory
+      if (status === 'cancelled') {
+        await InventoryService.restockOrder(client, { orderId: currentOrder.id, createdBy: actor });
+      }
+      
+      const updatedOrder = result.rows[0];
+      const statusEmailTemplates = { shipped: 'orderShipped', cancelled: 'orderCancelled' };
+      
+      if (statusEmailTemplates[status]) {
+        await NotificationService.enqueue(client, {
+          template: statusEmailTemplates[status],
+          to: updatedOrder.customer_email,
+          orderId: updatedOrder.id,
+          data: {
+            orderId: updatedOrder.order_id,
+            customerName: updatedOrder.customer_name,
+            reason,
+            orderUrl: OrderService.lookupUrl(updatedOrder.order_id)
+          }
+        });
+      }
+      
+      await client.query('COMMIT');
+      return updatedOrder;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        logger.error('Error updating order status', { error });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Get the status history of an order, oldest first (null if the order doesn't exist)
+  static async getOrderStatusHistory(orderId) {
+    try {
+      const orderResult = await query('SELECT id FROM orders WHERE order_id = $1', [orderId]);
+      
+      if (orderResult.rows.length === 0) {
+        return null;
+      }
+      
+      const historyQuery = `
+        SELECT from_status, to_status, actor, reason, created_at
+        FROM order_status_history
+        WHERE order_id = $1
+        ORDER BY created_at ASC, id ASC
+      `;
+      
+      const result = await query(historyQuery, [orderResult.rows[0].id]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching order status history', { error });
+      throw error;
+    }
+  }
+  
+  // Update payment status for the order(s) paid by a Stripe payment intent
+  static async updatePaymentStatus(paymentIntentId, paymentStatus) {
+    try {
+      const updateQuery = `
+        UPDATE orders 
+        SET payment_status = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE stripe_payment_intent_id = $2
         RETURNING *
       `;
       
-      const result = await query(updateQuery, [status, orderId]);
+      const result = await query(updateQuery, [paymentStatus, paymentIntentId]);
       return result.rows[0] || null;
     } catch (error) {
-      console.error('❌ Error updating order status:', error);
+      logger.error('Error updating payment status', { error });
       throw error;
     }
   }
   
-  // Get recent orders (for admin dashboard)
-  static async getRecentOrders(limit = 10) {
+  // Orders matching `filters` ({ status, paymentStatus, from, to, country,
+  // currency, minTotal, maxTotal, q }), one page at a time. `sort` is a key of
+  // ORDER_SORTS, prefixed with '-' for descending. Returns { orders,
+  // nextCursor, totalCount }; pass nextCursor back as `cursor` for the next
+  // page, with the same filters and sort.
+  static async listOrders(filters = {}, { sort = '-createdAt', limit = 10, cursor = null } = {}) {
+    const descending = sort.startsWith('-');
+    const sortKey = descending ? sort.slice(1) : sort;
+    const sortColumn = ORDER_SORTS[sortKey];
+    
+    if (!sortColumn) {
+      throw createHttpError(400, 'Invalid sort', {
+        validSorts: Object.keys(ORDER_SORTS).flatMap(key => [key, `-${key}`])
+      });
+    }
+    
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && (!after || after.length !== 3 || after[0] !== sort)) {
+      throw createHttpError(400, 'Invalid cursor');
+    }
+    
     try {
+      const filterValues = [];
+      const conditions = orderFilterConditions(filters, filterValues);
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      
+      const countResult = await query(`SELECT COUNT(*)::int AS count FROM orders o ${where}`, filterValues);
+      
+      const pageValues = [...filterValues];
+      const pageConditions = [...conditions];
+      if (after) {
+        pageValues.push(after[1], after[2]);
+        pageConditions.push(
+          `(${sortColumn}, o.id) ${descending ? '<' : '>'} ($${pageValues.length - 1}, $${pageValues.length}::int)`
+        );
+      }
+      pageValues.push(limit + 1);
+      
+      const direction = descending ? 'DESC' : 'ASC';
+      // The sort value is read back as text so cursors keep its full
+      // precision (timestamps have microseconds)
       const ordersQuery = `
-        SELECT o.*, 
-               json_agg(
-                 json_build_object(
-                   'product_name', oi.product_name,
-                   'quantity', oi.quantity,
-                   'total_price', oi.total_price
-                 )
+        SELECT o.*, ${sortColumn}::text AS cursor_value,
+               (
+                 SELECT json_agg(
+                          json_build_object(
+                            'product_name', oi.product_name,
+                            'quantity', oi.quantity,
+                            'total_price', oi.total_price,
+                            'discount_amount', oi.discount_amount,
+                            'tax_rate', oi.tax_rate,
+                            'tax_amount', oi.tax_amount
+                          ) ORDER BY oi.id
+                        )
+                 FROM order_items oi
+                 WHERE oi.order_id = o.id
                ) as items
         FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        GROUP BY o.id
-        ORDER BY o.created_at DESC
-        LIMIT $1
+        ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+        ORDER BY ${sortColumn} ${direction}, o.id ${direction}
+        LIMIT $${pageValues.length}
+      `;
+      
+      const result = await query(ordersQuery, pageValues);
+      const orders = result.rows.slice(0, limit);
+      const last = orders[orders.length - 1];
+      
+      return {
+        orders,
+        nextCursor: result.rows.length > limit ? encodeCursor([sort, last.cursor_value, last.id]) : null,
+        totalCount: countResult.rows[0].count
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error listing orders', { error });
+      }
+      throw error;
+    }
+  }
+  
+  // Orders flagged by payment reconciliation, oldest first (`status` is
+  // 'mismatched' for those still waiting for review, or 'resolved')
+  static async getReconciliationIssues(status = 'mismatched', limit = 50) {
+    try {
+      const issuesQuery = `
+        SELECT order_id, customer_name, customer_email, stripe_payment_intent_id,
+               total_amount, amount_received, currency, payment_status, reconciliation_status,
+               reconciliation_note, reconciled_by, reconciled_at, created_at
+        FROM orders
+        WHERE reconciliation_status = $1
+        ORDER BY created_at ASC
+        LIMIT $2
       `;
       
-      const result = await query(ordersQuery, [limit]);
+      const result = await query(issuesQuery, [status, limit]);
       return result.rows;
     } catch (error) {
-      console.error('❌ Error fetching recent orders:', error);
+      logger.error('Error fetching reconciliation issues', { error });
+      throw error;
+    }
+  }
+  
+  // Mark a mismatched order as reviewed. Returns null if the order doesn't exist.
+  static async resolveReconciliation(orderId, { note, actor }) {
+    if (typeof note !== 'string' || note.trim() === '') {
+      throw createHttpError(400, 'A note explaining the resolution is required');
+    }
+    
+    try {
+      const orderResult = await query(
+        'SELECT reconciliation_status FROM orders WHERE order_id = $1',
+        [orderId]
+      );
+      const order = orderResult.rows[0];
+      
+      if (!order) {
+        return null;
+      }
+      
+      if (order.reconciliation_status !== 'mismatched') {
+        throw createHttpError(409, `Order ${orderId} has no payment mismatch to resolve`);
+      }
+      
+      const result = await query(
+        `UPDATE orders
+         SET reconciliation_status = 'resolved', reconciliation_note = $1, reconciled_by = $2,
+             reconciled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE order_id = $3 AND reconciliation_status = 'mismatched'
+         RETURNING *`,
+        [note.trim(), actor, orderId]
+      );
+      
+      if (!result.rows[0]) {
+        throw createHttpError(409, `Order ${orderId} has no payment mismatch to resolve`);
+      }
+      
+      return result.rows[0];
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error resolving reconciliation', { error });
+      }
+      throw error;
+    }
+  }
+  
+  // Order count and total per currency (for admin dashboard), with each total
+  // also converted back to the base currency at the rates the orders used
+  static async getOrderTotalsByCurrency(filters = {}) {
+    try {
+      const values = [];
+      const conditions = orderFilterConditions(filters, values);
+      // Cancelled orders only count when they're filtered for
+      if (!filters.status) {
+        conditions.push(`o.order_status != 'cancelled'`);
+      }
+      
+      const totalsQuery = `
+        SELECT o.currency,
+               COUNT(*)::int as order_count,
+               SUM(o.total_amount) as total_amount,
+               ROUND(SUM(o.total_amount / o.exchange_rate), 2) as base_currency_amount
+        FROM orders o
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY o.currency
+        ORDER BY o.currency
+      `;
+      
+      const result = await query(totalsQuery, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching order totals', { error });
       throw error;
     }
   }
 }
 
+OrderService.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+
 module.exports = OrderService;
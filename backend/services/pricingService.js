@@ -0,0 +1,109 @@
+// Pricing Service - Computes checkout totals from catalog prices
+const ProductService = require('./productService');
+const DiscountService = require('./discountService');
+const TaxService = require('./taxService');
+const ShippingService = require('./shippingService');
+const CurrencyService = require('./currencyService');
+const { createHttpError } = require('../utils/httpError');
+
+class PricingService {
+
+  // Price a cart of { product_id, quantity } items against the catalog,
+  // optionally applying a discount code (see DiscountService.applyDiscount),
+  // and tax and ship it to `address` ({ country, region, postalCode }) with
+  // `shippingMethodId` (the first available method if not given).
+  // Amounts are in the smallest unit of `currency` (the base currency if not
+  // given): price list prices where set, otherwise converted catalog prices.
+  // Both /api/create-payment-intent and OrderService.createOrder use this,
+  // so the amount charged and the amount stored come from the same numbers.
+  //
+  // `alreadyPaid` is set when recording an order the customer has paid for:
+  // the products, discount code and shipping method are honoured even if they
+  // have expired or been deactivated since the payment intent was created, and
+  // `exchangeRate` is the rate the payment was priced at.
+  static async quoteCart(items, { currency = null, exchangeRate = null, discountCode = null, email = null, address = {}, shippingMethodId = null, alreadyPaid = false } = {}) {
+    const money = await CurrencyService.getConverter(currency, { rate: alreadyPaid ? exchangeRate : null });
+    const resolvedItems = await ProductService.resolveCartItems(items, { includeInactive: alreadyPaid });
+    const unitPrices = await CurrencyService.priceProducts(resolvedItems.map(({ product }) => product), money);
+
+    const lines = resolvedItems.map(({ product, quantity }) => {
+      const unitPriceCents = unitPrices.get(product.id);
+      return {
+        productId: product.id,
+        sku: product.sku,
+        name: product.name,
+        quantity,
+        unitPriceCents,
+        lineTotalCents: unitPriceCents * quantity,
+        weightGrams: product.weight_grams || 0,
+        discountCents: 0,
+        taxRate: 0,
+        taxCents: 0
+      };
+    });
+
+    const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+    let discount = null;
+
+    if (discountCode) {
+      discount = await DiscountService.applyDiscount(discountCode, { lines, subtotalCents, email, money }, {
+        enforceLimits: !alreadyPaid
+      });
+      lines.forEach((line, index) => {
+        line.discountCents = discount.lineDiscountCents[index];
+      });
+    }
+
+    const discountCents = discount ? discount.discountCents : 0;
+
+    const shippingOptions = await ShippingService.getShippingOptions({
+      lines,
+      merchandiseCents: subtotalCents - discountCents,
+      country: address.country,
+      money
+    }, { includeInactive: alreadyPaid });
+
+    const requestedMethodId = shippingMethodId !== null && shippingMethodId !== undefined && shippingMethodId !== ''
+      ? Number(shippingMethodId)
+      : null;
+    const shippingMethod = requestedMethodId === null
+      ? shippingOptions[0]
+      : shippingOptions.find(option => option.id === requestedMethodId);
+
+    if (!shippingMethod) {
+      throw createHttpError(400, `Shipping method ${shippingMethodId} is not available for this order`);
+    }
+
+    const shippingCents = discount && discount.freeShipping ? 0 : shippingMethod.shippingCents;
+
+    // Tax is charged on what the customer actually pays for the goods
+    const tax = await TaxService.calculateTax(lines, address);
+    lines.forEach((line, index) => {
+      line.taxRate = tax.rule.rate;
+      line.taxCents = tax.lineTaxCents[index];
+    });
+
+    // Inclusive tax is already part of the catalog prices
+    const addedTaxCents = tax.rule.inclusive ? 0 : tax.taxCents;
+
+    return {
+      currency: money.currency,
+      exchangeRate: money.rate,
+      lines,
+      subtotalCents,
+      discountCode: discount ? discount.code : null,
+      discountCents,
+      freeShipping: discount ? discount.freeShipping : false,
+      taxCents: tax.taxCents,
+      taxName: tax.rule.name,
+      taxRate: tax.rule.rate,
+      taxInclusive: tax.rule.inclusive,
+      shippingMethod,
+      shippingOptions,
+      shippingCents,
+      totalCents: subtotalCents - discountCents + addedTaxCents + shippingCents
+    };
+  }
+}
+
+module.exports = PricingService;
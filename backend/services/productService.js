@@ -0,0 +1,216 @@
+// Product Service - Handles the product catalog used to price checkouts
+const { query } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { toCents, fromCents } = require('../utils/money');
+const { logger } = require('../utils/logger');
+
+const MAX_ITEM_QUANTITY = 100;
+
+// Validate admin product input; `partial` allows updates that only set some fields
+const validateProductInput = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || data.sku !== undefined) {
+    if (typeof data.sku !== 'string' || data.sku.trim() === '') {
+      errors.push('sku is required');
+    }
+  }
+
+  if (!partial || data.price !== undefined) {
+    const price = Number(data.price);
+    if (data.price === null || data.price === '' || !Number.isFinite(price) || price < 0) {
+      errors.push('price must be a non-negative number');
+    }
+  }
+
+  if (data.weightGrams !== undefined && (!Number.isInteger(data.weightGrams) || data.weightGrams < 0)) {
+    errors.push('weightGrams must be a non-negative integer');
+  }
+
+  if (data.images !== undefined) {
+    if (!Array.isArray(data.images) || data.images.some(image => typeof image !== 'string')) {
+      errors.push('images must be an array of URLs');
+    }
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    errors.push('isActive must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid product', errors);
+  }
+};
+
+class ProductService {
+
+  // List catalog products, newest first
+  static async listProducts({ includeInactive = false } = {}) {
+    try {
+      const result = await query(
+        `SELECT * FROM products
+         WHERE $1 OR is_active = true
+         ORDER BY created_at DESC`,
+        [includeInactive]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing products', { error });
+      throw error;
+    }
+  }
+
+  static async getProductById(productId) {
+    if (!Number.isInteger(productId)) {
+      return null;
+    }
+
+    try {
+      const result = await query('SELECT * FROM products WHERE id = $1', [productId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching product', { error });
+      throw error;
+    }
+  }
+
+  static async getProductsByIds(productIds) {
+    try {
+      const result = await query('SELECT * FROM products WHERE id = ANY($1::int[])', [productIds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching products', { error });
+      throw error;
+    }
+  }
+
+  static async createProduct(data) {
+    validateProductInput(data);
+
+    try {
+      const result = await query(
+        `INSERT INTO products (sku, name, description, price, is_active, images, weight_grams)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          data.sku.trim(),
+          data.name.trim(),
+          data.description || null,
+          fromCents(toCents(data.price)),
+          data.isActive !== undefined ? data.isActive : true,
+          JSON.stringify(data.images || []),
+          data.weightGrams || 0
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, `A product with SKU ${data.sku} already exists`);
+      }
+      logger.error('Error creating product', { error });
+      throw error;
+    }
+  }
+
+  // Update only the fields present in `data`
+  static async updateProduct(productId, data) {
+    validateProductInput(data, { partial: true });
+
+    if (!Number.isInteger(productId)) {
+      return null;
+    }
+
+    const columns = {
+      sku: data.sku !== undefined ? data.sku.trim() : undefined,
+      name: data.name !== undefined ? data.name.trim() : undefined,
+      description: data.description,
+      price: data.price !== undefined ? fromCents(toCents(data.price)) : undefined,
+      is_active: data.isActive,
+      images: data.images !== undefined ? JSON.stringify(data.images) : undefined,
+      weight_grams: data.weightGrams
+    };
+
+    const assignments = [];
+    const values = [];
+    for (const [column, value] of Object.entries(columns)) {
+      if (value !== undefined) {
+        values.push(value);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (assignments.length === 0) {
+      return ProductService.getProductById(productId);
+    }
+
+    try {
+      values.push(productId);
+      const result = await query(
+        `UPDATE products SET ${assignments.join(', ')}
+         WHERE id = $${values.length}
+         RETURNING *`,
+        values
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, `A product with SKU ${data.sku} already exists`);
+      }
+      logger.error('Error updating product', { error });
+      throw error;
+    }
+  }
+
+  // Products are never hard-deleted because order_items reference them
+  static async deactivateProduct(productId) {
+    return ProductService.updateProduct(productId, { isActive: false });
+  }
+
+  // Validate cart items ({ product_id, quantity }) and attach their catalog products.
+  // Rejects unknown or inactive products so nothing is sold at a client-supplied price.
+  // `includeInactive` accepts products deactivated since they were paid for.
+  static async resolveCartItems(items, { includeInactive = false } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createHttpError(400, 'Cart must contain at least one item');
+    }
+
+    const requested = items.map(item => {
+      // `id` is accepted for carts built before product_id was introduced
+      const productId = Number(item.product_id !== undefined ? item.product_id : item.id);
+      const quantity = Number(item.quantity);
+
+      if (!Number.isInteger(productId) || productId <= 0) {
+        throw createHttpError(400, `Item ${item.name || 'unknown'} is missing a valid product_id`);
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > MAX_ITEM_QUANTITY) {
+        throw createHttpError(400, `Quantity for product ${productId} must be between 1 and ${MAX_ITEM_QUANTITY}`);
+      }
+
+      return { productId, quantity };
+    });
+
+    const products = await ProductService.getProductsByIds(requested.map(item => item.productId));
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    return requested.map(({ productId, quantity }) => {
+      const product = productsById.get(productId);
+
+      if (!product) {
+        throw createHttpError(400, `Unknown product: ${productId}`);
+      }
+      if (!product.is_active && !includeInactive) {
+        throw createHttpError(400, `Product ${product.name} is no longer available`);
+      }
+
+      return { product, quantity };
+    });
+  }
+}
+
+module.exports = ProductService;
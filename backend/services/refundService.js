@@ -0,0 +1,231 @@
+// Refund Service - Full and per-line-item refunds through Stripe
+const { query, getClient } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { toCents, fromCents } = require('../utils/money');
+const { logger } = require('../utils/logger');
+
+// Failed or canceled refunds don't count towards what has been given back
+const COUNTED_REFUND_STATUSES = ['pending', 'succeeded', 'requires_action'];
+
+// Work out which quantities to refund and for how much. Each line's amount is
+// what was paid for it - price * quantity less its share of any discount -
+// plus the tax charged on it (nothing extra when prices included tax).
+const planRefund = (order, orderItems, requestedItems) => {
+  const taxableCents = toCents(order.subtotal, order.currency) - toCents(order.discount_amount, order.currency);
+  const taxCents = toCents(order.tax_amount, order.currency);
+  const itemsById = new Map(orderItems.map(item => [item.id, item]));
+
+  const lineAmountCents = (item, quantity) => {
+    const discountCents = Math.round(toCents(item.discount_amount, order.currency) * quantity / item.quantity);
+    const paidCents = toCents(item.product_price, order.currency) * quantity - discountCents;
+
+    if (order.tax_inclusive) {
+      return paidCents;
+    }
+
+    // Orders from before per-line tax was stored get a proportional share
+    const lineTaxCents = item.tax_amount !== null
+      ? Math.round(toCents(item.tax_amount, order.currency) * quantity / item.quantity)
+      : (taxableCents > 0 ? Math.round(paidCents * taxCents / taxableCents) : 0);
+    return paidCents + lineTaxCents;
+  };
+
+  // Full refund: everything not refunded yet, including shipping
+  if (!requestedItems || requestedItems.length === 0) {
+    const lines = orderItems
+      .filter(item => item.quantity - item.refunded_quantity > 0)
+      .map(item => {
+        const quantity = item.quantity - item.refunded_quantity;
+        return { orderItemId: item.id, quantity, amountCents: lineAmountCents(item, quantity) };
+      });
+    const amountCents = toCents(order.total_amount, order.currency) - toCents(order.refunded_amount, order.currency);
+    return { lines, amountCents };
+  }
+
+  const lines = requestedItems.map(requested => {
+    const orderItemId = Number(requested.orderItemId);
+    const quantity = Number(requested.quantity);
+    const item = itemsById.get(orderItemId);
+
+    if (!item) {
+      throw createHttpError(400, `Order item ${requested.orderItemId} is not part of order ${order.order_id}`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw createHttpError(400, `Refund quantity for order item ${orderItemId} must be a positive integer`);
+    }
+
+    const refundableQuantity = item.quantity - item.refunded_quantity;
+    if (quantity > refundableQuantity) {
+      throw createHttpError(409, `Only ${refundableQuantity} of ${item.product_name} can still be refunded`);
+    }
+
+    // Count this line so the same item can't be listed twice to exceed its quantity
+    item.refunded_quantity += quantity;
+
+    return { orderItemId, quantity, amountCents: lineAmountCents(item, quantity) };
+  });
+
+  const remainingCents = toCents(order.total_amount, order.currency) - toCents(order.refunded_amount, order.currency);
+
+  // Refunding the last remaining items also returns shipping and any rounding remainder
+  if (orderItems.every(item => item.refunded_quantity >= item.quantity)) {
+    return { lines, amountCents: remainingCents };
+  }
+
+  const amountCents = Math.min(lines.reduce((sum, line) => sum + line.amountCents, 0), remainingCents);
+
+  return { lines, amountCents };
+};
+
+class RefundService {
+
+  // Refund an order (fully, or only the given { orderItemId, quantity } lines)
+  // through Stripe and record it. Returns null if the order doesn't exist.
+  static async createRefund(orderId, { items, reason = null, actor }, stripe) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Locking the order serializes concurrent refunds for it
+      const orderResult = await client.query(
+        `SELECT o.*,
+                COALESCE((
+                  SELECT SUM(r.amount) FROM refunds r
+                  WHERE r.order_id = o.id AND r.status = ANY($2::text[])
+                ), 0) AS refunded_amount,
+                (SELECT COUNT(*) FROM refunds r WHERE r.order_id = o.id)::int AS refund_count
+         FROM orders o
+         WHERE o.order_id = $1
+         FOR UPDATE OF o`,
+        [orderId, COUNTED_REFUND_STATUSES]
+      );
+      const order = orderResult.rows[0];
+
+      if (!order) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (!['succeeded', 'partially_refunded'].includes(order.payment_status)) {
+        throw createHttpError(409, `Cannot refund an order with payment status ${order.payment_status}`);
+      }
+
+      const itemsResult = await client.query(
+        `SELECT oi.*,
+                COALESCE((
+                  SELECT SUM(ri.quantity) FROM refund_items ri
+                  JOIN refunds r ON r.id = ri.refund_id
+                  WHERE ri.order_item_id = oi.id AND r.status = ANY($2::text[])
+                ), 0)::int AS refunded_quantity
+         FROM order_items oi
+         WHERE oi.order_id = $1
+         ORDER BY oi.id`,
+        [order.id, COUNTED_REFUND_STATUSES]
+      );
+
+      const plan = planRefund(order, itemsResult.rows, items);
+
+      if (plan.amountCents <= 0) {
+        throw createHttpError(409, `Order ${order.order_id} has nothing left to refund`);
+      }
+
+      let stripeRefund;
+      try {
+        stripeRefund = await stripe.refunds.create({
+          payment_intent: order.stripe_payment_intent_id,
+          amount: plan.amountCents,
+          metadata: {
+            orderId: order.order_id,
+            reason: reason || ''
+          }
+        }, {
+          // Retrying the same refund after a failure won't refund twice
+          idempotencyKey: `order-${order.id}-refund-${order.refund_count + 1}-${plan.amountCents}`
+        });
+      } catch (stripeError) {
+        throw createHttpError(502, `Stripe refund failed: ${stripeError.message}`);
+      }
+
+      const refundResult = await client.query(
+        `INSERT INTO refunds (order_id, stripe_refund_id, amount, reason, status, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [order.id, stripeRefund.id, fromCents(plan.amountCents, order.currency), reason, stripeRefund.status, actor]
+      );
+      const refund = refundResult.rows[0];
+
+      for (const line of plan.lines) {
+        await client.query(
+          `INSERT INTO refund_items (refund_id, order_item_id, quantity, amount)
+           VALUES ($1, $2, $3, $4)`,
+          [refund.id, line.orderItemId, line.quantity, fromCents(line.amountCents, order.currency)]
+        );
+      }
+
+      const refundedCents = toCents(order.refunded_amount, order.currency) + plan.amountCents;
+      const paymentStatus = refundedCents >= toCents(order.total_amount, order.currency) ? 'refunded' : 'partially_refunded';
+
+      await client.query(
+        'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [paymentStatus, order.id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info('Refund issued', {
+        orderId: order.order_id,
+        refundId: stripeRefund.id,
+        amount: fromCents(plan.amountCents, order.currency),
+        currency: order.currency
+      });
+
+      return {
+        refund,
+        items: plan.lines,
+        currency: order.currency,
+        paymentStatus,
+        refundedAmount: fromCents(refundedCents, order.currency)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        logger.error('Error creating refund', { error });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Refunds recorded for an order, newest first
+  static async getRefundsForOrder(orderId) {
+    try {
+      const result = await query(
+        `SELECT r.*, o.currency,
+                COALESCE(json_agg(
+                  json_build_object(
+                    'order_item_id', ri.order_item_id,
+                    'quantity', ri.quantity,
+                    'amount', ri.amount
+                  )
+                ) FILTER (WHERE ri.id IS NOT NULL), '[]') AS items
+         FROM refunds r
+         JOIN orders o ON o.id = r.order_id
+         LEFT JOIN refund_items ri ON ri.refund_id = r.id
+         WHERE o.order_id = $1
+         GROUP BY r.id, o.currency
+         ORDER BY r.created_at DESC`,
+        [orderId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching refunds', { error });
+      throw error;
+    }
+  }
+}
+
+RefundService.COUNTED_REFUND_STATUSES = COUNTED_REFUND_STATUSES;
+
+module.exports = RefundService;
@@ -0,0 +1,145 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { getClient } = require('../database/connection');
+const RefundService = require('./refundService');
+
+// $100.00 of goods less a $10.00 discount, 8% tax on the rest, $5.95 shipping
+const makeOrder = (overrides = {}) => ({
+  id: 1,
+  order_id: 'KK-123456',
+  currency: 'USD',
+  payment_status: 'succeeded',
+  stripe_payment_intent_id: 'pi_1',
+  subtotal: '100.00',
+  discount_amount: '10.00',
+  tax_amount: '7.20',
+  tax_inclusive: false,
+  shipping_amount: '5.95',
+  total_amount: '103.15',
+  refunded_amount: '0',
+  refund_count: 0,
+  ...overrides
+});
+
+const makeItems = () => [
+  { id: 11, product_name: 'Serum', product_price: '30.00', quantity: 2, discount_amount: '6.00', tax_amount: '4.32', refunded_quantity: 0 },
+  { id: 12, product_name: 'Cream', product_price: '40.00', quantity: 1, discount_amount: '4.00', tax_amount: '2.88', refunded_quantity: 0 }
+];
+
+// A client that answers the order and item selects and records the rest
+const mockClient = (order, items) => {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (/FROM orders o/.test(sql)) {
+        return { rows: order ? [order] : [] };
+      }
+      if (/FROM order_items oi/.test(sql)) {
+        return { rows: items };
+      }
+      if (/INSERT INTO refunds/.test(sql)) {
+        return { rows: [{ id: 99 }] };
+      }
+      return { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+  getClient.mockResolvedValue(client);
+  return client;
+};
+
+const mockStripe = () => ({
+  refunds: { create: jest.fn(async ({ amount }) => ({ id: 're_1', status: 'succeeded', amount })) }
+});
+
+const refund = async ({ order = makeOrder(), items = makeItems(), requested } = {}) => {
+  const client = mockClient(order, items);
+  const stripe = mockStripe();
+  const result = await RefundService.createRefund('KK-123456', { items: requested, actor: 'ops@x.com' }, stripe);
+  return { result, client, stripe };
+};
+
+describe('RefundService.createRefund', () => {
+  test('refunds a line at what was paid for it, plus its tax', async () => {
+    const { result, stripe } = await refund({ requested: [{ orderItemId: 11, quantity: 1 }] });
+
+    // $30.00 less half the line's $6.00 discount, plus half its $4.32 tax
+    expect(result.items).toEqual([{ orderItemId: 11, quantity: 1, amountCents: 2916 }]);
+    expect(stripe.refunds.create.mock.calls[0][0].amount).toBe(2916);
+    expect(result.paymentStatus).toBe('partially_refunded');
+    expect(result.refundedAmount).toBe('29.16');
+  });
+
+  test('returns shipping and the rounding remainder with the last items', async () => {
+    const { result, stripe } = await refund({
+      requested: [{ orderItemId: 11, quantity: 2 }, { orderItemId: 12, quantity: 1 }]
+    });
+
+    expect(stripe.refunds.create.mock.calls[0][0].amount).toBe(10315);
+    expect(result.paymentStatus).toBe('refunded');
+  });
+
+  test('refunds everything left when no items are given', async () => {
+    const items = makeItems();
+    items[0].refunded_quantity = 1;
+    const { result, stripe } = await refund({ order: makeOrder({ refunded_amount: '29.16' }), items });
+
+    expect(result.items).toEqual([
+      { orderItemId: 11, quantity: 1, amountCents: 2916 },
+      { orderItemId: 12, quantity: 1, amountCents: 3888 }
+    ]);
+    expect(stripe.refunds.create.mock.calls[0][0].amount).toBe(10315 - 2916);
+    expect(result.paymentStatus).toBe('refunded');
+  });
+
+  test('adds no tax when prices included it', async () => {
+    const { result } = await refund({
+      order: makeOrder({ tax_inclusive: true }),
+      requested: [{ orderItemId: 11, quantity: 1 }]
+    });
+
+    expect(result.items[0].amountCents).toBe(2700);
+  });
+
+  test('gives lines without stored tax a proportional share of the order tax', async () => {
+    const items = makeItems().map(item => ({ ...item, tax_amount: null }));
+    const { result } = await refund({ items, requested: [{ orderItemId: 11, quantity: 1 }] });
+
+    // $27.00 of the $90.00 taxed gets that share of $7.20
+    expect(result.items[0].amountCents).toBe(2916);
+  });
+
+  test('rejects items that are not part of the order', async () => {
+    await expect(refund({ requested: [{ orderItemId: 99, quantity: 1 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects quantities that are not positive integers', async () => {
+    await expect(refund({ requested: [{ orderItemId: 11, quantity: 0 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(refund({ requested: [{ orderItemId: 11, quantity: 1.5 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects refunding more than is left, even across repeated lines', async () => {
+    await expect(refund({ requested: [{ orderItemId: 11, quantity: 3 }] }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Only 2 of Serum can still be refunded' });
+    await expect(refund({ requested: [{ orderItemId: 12, quantity: 1 }, { orderItemId: 12, quantity: 1 }] }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Only 0 of Cream can still be refunded' });
+  });
+
+  test('rejects orders that have not been paid', async () => {
+    const client = mockClient(makeOrder({ payment_status: 'pending' }), makeItems());
+    const stripe = mockStripe();
+
+    await expect(RefundService.createRefund('KK-123456', { actor: 'ops@x.com' }, stripe))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('returns null for an unknown order', async () => {
+    mockClient(null, []);
+    await expect(RefundService.createRefund('KK-000000', { actor: 'ops@x.com' }, mockStripe())).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,216 @@
+// Report Service - Sales analytics for the admin dashboard. Everything is
+// aggregated in SQL and converted to the base currency at each order's
+// exchange rate, since amounts in different currencies can't be added.
+const { query } = require('../database/connection');
+const { BASE_CURRENCY, currencyDecimals } = require('../utils/money');
+const { createHttpError } = require('../utils/httpError');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || 'UTC';
+const DEFAULT_RANGE_DAYS = 30;
+
+const GROUP_BY = { day: 1, week: 7, month: 28 };  // Days per period, at least
+const MAX_PERIODS = 1000;
+const BREAKDOWNS = {
+  country: "COALESCE(UPPER(o.customer_country), 'unknown')",
+  status: 'o.order_status'
+};
+const PRODUCT_SORTS = {
+  units: 'units_sold DESC',
+  revenue: 'revenue DESC'
+};
+
+// Refunds that took (or are taking) money back, in the order's currency
+const REFUNDED_JOIN = `
+  CROSS JOIN LATERAL (
+    SELECT COALESCE(SUM(r.amount), 0) AS amount FROM refunds r
+    WHERE r.order_id = o.id AND r.status IN ('pending', 'succeeded', 'requires_action')
+  ) refunded`;
+
+// The report range as local dates in $3 (`to` exclusive), defaulting to the
+// last 30 days including today, and the orders placed in it
+const BOUNDS_CTE = `
+  bounds AS (
+    SELECT COALESCE($1::date, (NOW() AT TIME ZONE $3)::date + 1 - ${DEFAULT_RANGE_DAYS}) AS from_date,
+           COALESCE($2::date, (NOW() AT TIME ZONE $3)::date + 1) AS to_date
+  )`;
+const IN_RANGE = `
+  o.created_at >= (SELECT from_date FROM bounds)::timestamp AT TIME ZONE $3
+  AND o.created_at < (SELECT to_date FROM bounds)::timestamp AT TIME ZONE $3`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validated { from, to, timezone } shared by every report. Dates are
+// YYYY-MM-DD in the report's timezone; `to` is exclusive.
+const reportRange = ({ from = null, to = null, timezone = null } = {}) => {
+  const timeZone = timezone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw createHttpError(400, 'Invalid timezone', { expected: 'IANA time zone name, e.g. Europe/London' });
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== null && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+      throw createHttpError(400, `Invalid ${name}`, { expected: 'YYYY-MM-DD' });
+    }
+  }
+  if (from && to && from >= to) {
+    throw createHttpError(400, 'from must be before to');
+  }
+
+  return { from, to, timeZone };
+};
+
+class ReportService {
+
+  // Orders, gross revenue, refunds, net revenue and average order value per
+  // day, week (starting Monday) or month, bucketed in the report's timezone.
+  // Periods without orders are included with zeros; the last row
+  // (period null) is the total for the whole range. Cancelled orders are
+  // left out, and refunds count against the period the order was placed in.
+  static async getSalesReport({ groupBy = 'day', ...range } = {}) {
+    if (!GROUP_BY[groupBy]) {
+      throw createHttpError(400, 'Invalid groupBy', { validGroupBy: Object.keys(GROUP_BY) });
+    }
+    const { from, to, timeZone } = reportRange(range);
+
+    // Measured between the bounds the query will use, so a far-off `to`
+    // without a `from` is caught too
+    const dayMs = 24 * 60 * 60 * 1000;
+    const fromMs = from ? Date.parse(from) : Date.now() - DEFAULT_RANGE_DAYS * dayMs;
+    const toMs = to ? Date.parse(to) : Date.now();
+    if ((toMs - fromMs) / dayMs / GROUP_BY[groupBy] > MAX_PERIODS) {
+      throw createHttpError(400, `Too many periods; report at most ${MAX_PERIODS} ${groupBy}s at a time`);
+    }
+
+    try {
+      const salesQuery = `
+        WITH ${BOUNDS_CTE},
+        periods AS (
+          SELECT generate_series(
+                   date_trunc($4, b.from_date::timestamp),
+                   b.to_date::timestamp - INTERVAL '1 day',
+                   ('1 ' || $4)::interval
+                 ) AS period
+          FROM bounds b
+        ),
+        sales AS (
+          SELECT date_trunc($4, o.created_at AT TIME ZONE $3) AS period,
+                 o.total_amount / o.exchange_rate AS total,
+                 refunded.amount / o.exchange_rate AS refunded
+          FROM orders o
+          ${REFUNDED_JOIN}
+          WHERE ${IN_RANGE}
+            AND o.order_status != 'cancelled'
+        )
+        SELECT to_char(p.period, 'YYYY-MM-DD') AS period,
+               COUNT(s.total)::int AS order_count,
+               ROUND(COALESCE(SUM(s.total), 0), $5) AS gross_revenue,
+               ROUND(COALESCE(SUM(s.refunded), 0), $5) AS refunded_amount,
+               ROUND(COALESCE(SUM(s.total - s.refunded), 0), $5) AS net_revenue,
+               ROUND(COALESCE(AVG(s.total), 0), $5) AS average_order_value
+        FROM periods p
+        LEFT JOIN sales s ON s.period = p.period
+        GROUP BY ROLLUP (p.period)
+        ORDER BY p.period NULLS LAST
+      `;
+
+      const result = await query(salesQuery, [from, to, timeZone, groupBy, currencyDecimals(BASE_CURRENCY)]);
+      const totals = result.rows.pop();
+
+      return {
+        currency: BASE_CURRENCY,
+        timezone: timeZone,
+        groupBy,
+        periods: result.rows,
+        totals
+      };
+    } catch (error) {
+      logger.error('Error building sales report', { error });
+      throw error;
+    }
+  }
+
+  // Best-selling products by units sold or revenue (line totals after
+  // discounts, so including tax where prices include it). Lines from
+  // cancelled orders are left out.
+  static async getTopProducts({ sortBy = 'units', limit = 10, ...range } = {}) {
+    if (!PRODUCT_SORTS[sortBy]) {
+      throw createHttpError(400, 'Invalid sortBy', { validSortBy: Object.keys(PRODUCT_SORTS) });
+    }
+    const { from, to, timeZone } = reportRange(range);
+
+    try {
+      const productsQuery = `
+        WITH ${BOUNDS_CTE}
+        SELECT oi.product_id,
+               p.sku,
+               (ARRAY_AGG(oi.product_name ORDER BY o.created_at DESC))[1] AS product_name,
+               SUM(oi.quantity)::int AS units_sold,
+               COUNT(DISTINCT o.id)::int AS order_count,
+               ROUND(SUM((oi.total_price - oi.discount_amount) / o.exchange_rate), $5) AS revenue
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        LEFT JOIN products p ON p.id = oi.product_id
+        WHERE ${IN_RANGE}
+          AND o.order_status != 'cancelled'
+        GROUP BY oi.product_id, p.sku
+        ORDER BY ${PRODUCT_SORTS[sortBy]}, oi.product_id
+        LIMIT $4
+      `;
+
+      const result = await query(productsQuery, [from, to, timeZone, limit, currencyDecimals(BASE_CURRENCY)]);
+
+      return {
+        currency: BASE_CURRENCY,
+        timezone: timeZone,
+        products: result.rows
+      };
+    } catch (error) {
+      logger.error('Error building top products report', { error });
+      throw error;
+    }
+  }
+
+  // Orders and revenue per shipping country or per order status, largest
+  // first. The country breakdown leaves out cancelled orders, like the
+  // other reports; the status breakdown shows them.
+  static async getBreakdown({ by = 'country', ...range } = {}) {
+    if (!BREAKDOWNS[by]) {
+      throw createHttpError(400, 'Invalid breakdown', { validBreakdowns: Object.keys(BREAKDOWNS) });
+    }
+    const { from, to, timeZone } = reportRange(range);
+
+    try {
+      const breakdownQuery = `
+        WITH ${BOUNDS_CTE}
+        SELECT ${BREAKDOWNS[by]} AS key,
+               COUNT(*)::int AS order_count,
+               ROUND(SUM(o.total_amount / o.exchange_rate), $4) AS gross_revenue,
+               ROUND(SUM(refunded.amount / o.exchange_rate), $4) AS refunded_amount,
+               ROUND(SUM((o.total_amount - refunded.amount) / o.exchange_rate), $4) AS net_revenue
+        FROM orders o
+        ${REFUNDED_JOIN}
+        WHERE ${IN_RANGE}
+          ${by === 'status' ? '' : "AND o.order_status != 'cancelled'"}
+        GROUP BY 1
+        ORDER BY gross_revenue DESC, key
+      `;
+
+      const result = await query(breakdownQuery, [from, to, timeZone, currencyDecimals(BASE_CURRENCY)]);
+
+      return {
+        currency: BASE_CURRENCY,
+        timezone: timeZone,
+        by,
+        rows: result.rows
+      };
+    } catch (error) {
+      logger.error('Error building breakdown report', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = ReportService;
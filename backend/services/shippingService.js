@@ -0,0 +1,381 @@
+// Shipping Service - Shipping zones and methods, and the cost of each method
+// for a cart
+const { query } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { toCents, fromCents } = require('../utils/money');
+const { logger } = require('../utils/logger');
+
+const RATE_TYPES = ['flat', 'weight', 'order_value'];
+
+// Offered when no shipping zones are configured at all, matching the
+// free 3-5 day shipping the store has always had
+const DEFAULT_METHOD = {
+  id: null,
+  name: 'Standard',
+  shippingCents: 0,
+  minTransitDays: 3,
+  maxTransitDays: 5
+};
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isNonNegativeAmount = (value) => value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+const normalizeCountries = (countries) => countries.map(country => country.trim().toUpperCase());
+
+// Validate admin zone input; `partial` allows updates that only set some fields
+const validateZoneInput = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || data.countries !== undefined) {
+    if (!Array.isArray(data.countries) || data.countries.some(country => typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country.trim()))) {
+      errors.push('countries must be an array of two-letter country codes (empty for rest of world)');
+    }
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    errors.push('isActive must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid shipping zone', errors);
+  }
+};
+
+// Validate admin method input. `existing` is the stored method for updates,
+// so rules that span several fields are checked against the merged result.
+const validateMethodInput = (data, existing = null) => {
+  const errors = [];
+  const merged = {
+    rateType: existing ? existing.rate_type : 'flat',
+    rateTiers: existing ? existing.rate_tiers : [],
+    minTransitDays: existing ? existing.min_transit_days : undefined,
+    maxTransitDays: existing ? existing.max_transit_days : undefined,
+    ...data
+  };
+
+  if (!existing || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      errors.push('name is required');
+    }
+  }
+
+  if (!RATE_TYPES.includes(merged.rateType)) {
+    errors.push(`rateType must be one of: ${RATE_TYPES.join(', ')}`);
+  }
+
+  if (data.flatRate !== undefined && !isNonNegativeAmount(data.flatRate)) {
+    errors.push('flatRate must be a non-negative number');
+  }
+
+  if (merged.rateType !== 'flat') {
+    const tiers = merged.rateTiers;
+    const validTiers = Array.isArray(tiers) && tiers.length > 0 && tiers.every((tier, index) =>
+      tier && isNonNegativeAmount(tier.rate) &&
+      (tier.upTo === null ? index === tiers.length - 1 : Number.isFinite(tier.upTo) && tier.upTo > 0) &&
+      (index === 0 || tier.upTo === null || tier.upTo > tiers[index - 1].upTo)
+    );
+    if (!validTiers) {
+      errors.push('rateTiers must be a non-empty list of { upTo, rate } in increasing upTo order (upTo null only on the last tier)');
+    }
+  }
+
+  if (data.freeOverAmount !== undefined && data.freeOverAmount !== null && !isNonNegativeAmount(data.freeOverAmount)) {
+    errors.push('freeOverAmount must be a non-negative number');
+  }
+
+  for (const field of ['minTransitDays', 'maxTransitDays']) {
+    if ((!existing || data[field] !== undefined) && !isNonNegativeInteger(data[field])) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  }
+
+  if (isNonNegativeInteger(merged.minTransitDays) && isNonNegativeInteger(merged.maxTransitDays) &&
+      merged.maxTransitDays < merged.minTransitDays) {
+    errors.push('maxTransitDays cannot be less than minTransitDays');
+  }
+
+  if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+    errors.push('sortOrder must be an integer');
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    errors.push('isActive must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid shipping method', errors);
+  }
+};
+
+// Build `SET col = $n` assignments for the defined values in `columns`
+const buildAssignments = (columns) => {
+  const assignments = [];
+  const values = [];
+  for (const [column, value] of Object.entries(columns)) {
+    if (value !== undefined) {
+      values.push(value);
+      assignments.push(`${column} = $${values.length}`);
+    }
+  }
+  return { assignments, values };
+};
+
+// Cost of `method` in cents for a cart, or null if the cart doesn't fit any
+// of its rate tiers. Rates and thresholds are set in the base currency and
+// converted with `fromBase`.
+const methodRateCents = (method, { weightGrams, merchandiseCents, fromBase }) => {
+  if (method.free_over_amount !== null && merchandiseCents >= fromBase(method.free_over_amount)) {
+    return 0;
+  }
+
+  if (method.rate_type === 'flat') {
+    return fromBase(method.flat_rate);
+  }
+
+  const tier = method.rate_tiers.find(candidate =>
+    candidate.upTo === null ||
+    (method.rate_type === 'weight' ? weightGrams <= candidate.upTo : merchandiseCents <= fromBase(candidate.upTo))
+  );
+
+  return tier ? fromBase(tier.rate) : null;
+};
+
+class ShippingService {
+
+  // Zones with their methods, for the admin API
+  static async listZones() {
+    try {
+      const result = await query(
+        `SELECT z.*,
+                COALESCE(
+                  json_agg(m.* ORDER BY m.sort_order, m.id) FILTER (WHERE m.id IS NOT NULL),
+                  '[]'
+                ) AS methods
+         FROM shipping_zones z
+         LEFT JOIN shipping_methods m ON m.zone_id = z.id
+         GROUP BY z.id
+         ORDER BY z.id`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing shipping zones', { error });
+      throw error;
+    }
+  }
+
+  static async createZone(data) {
+    validateZoneInput(data);
+
+    try {
+      const result = await query(
+        `INSERT INTO shipping_zones (name, countries, is_active)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [data.name.trim(), normalizeCountries(data.countries), data.isActive !== undefined ? data.isActive : true]
+      );
+      return { ...result.rows[0], methods: [] };
+    } catch (error) {
+      logger.error('Error creating shipping zone', { error });
+      throw error;
+    }
+  }
+
+  static async updateZone(zoneId, data) {
+    validateZoneInput(data, { partial: true });
+
+    if (!Number.isInteger(zoneId)) {
+      return null;
+    }
+
+    const { assignments, values } = buildAssignments({
+      name: data.name !== undefined ? data.name.trim() : undefined,
+      countries: data.countries !== undefined ? normalizeCountries(data.countries) : undefined,
+      is_active: data.isActive
+    });
+
+    try {
+      if (assignments.length > 0) {
+        values.push(zoneId);
+        await query(
+          `UPDATE shipping_zones SET ${assignments.join(', ')} WHERE id = $${values.length}`,
+          values
+        );
+      }
+
+      const zones = await ShippingService.listZones();
+      return zones.find(zone => zone.id === zoneId) || null;
+    } catch (error) {
+      logger.error('Error updating shipping zone', { error });
+      throw error;
+    }
+  }
+
+  // Add a method to a zone. Returns null if the zone doesn't exist.
+  static async createMethod(zoneId, data) {
+    validateMethodInput(data);
+
+    if (!Number.isInteger(zoneId)) {
+      return null;
+    }
+
+    try {
+      const result = await query(
+        `INSERT INTO shipping_methods (
+           zone_id, name, rate_type, flat_rate, rate_tiers, free_over_amount,
+           min_transit_days, max_transit_days, sort_order, is_active
+         )
+         SELECT id, $2, $3, $4, $5, $6, $7, $8, $9, $10 FROM shipping_zones WHERE id = $1
+         RETURNING *`,
+        [
+          zoneId,
+          data.name.trim(),
+          data.rateType || 'flat',
+          fromCents(toCents(data.flatRate || 0)),
+          JSON.stringify(data.rateTiers || []),
+          data.freeOverAmount != null ? fromCents(toCents(data.freeOverAmount)) : null,
+          data.minTransitDays,
+          data.maxTransitDays,
+          data.sortOrder || 0,
+          data.isActive !== undefined ? data.isActive : true
+        ]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating shipping method', { error });
+      throw error;
+    }
+  }
+
+  // Update only the fields present in `data`
+  static async updateMethod(methodId, data) {
+    if (!Number.isInteger(methodId)) {
+      return null;
+    }
+
+    try {
+      const existingResult = await query('SELECT * FROM shipping_methods WHERE id = $1', [methodId]);
+      const existing = existingResult.rows[0];
+
+      if (!existing) {
+        return null;
+      }
+
+      validateMethodInput(data, existing);
+
+      const { assignments, values } = buildAssignments({
+        name: data.name !== undefined ? data.name.trim() : undefined,
+        rate_type: data.rateType,
+        flat_rate: data.flatRate !== undefined ? fromCents(toCents(data.flatRate)) : undefined,
+        rate_tiers: data.rateTiers !== undefined ? JSON.stringify(data.rateTiers) : undefined,
+        free_over_amount: data.freeOverAmount !== undefined
+          ? (data.freeOverAmount === null ? null : fromCents(toCents(data.freeOverAmount)))
+          : undefined,
+        min_transit_days: data.minTransitDays,
+        max_transit_days: data.maxTransitDays,
+        sort_order: data.sortOrder,
+        is_active: data.isActive
+      });
+
+      if (assignments.length === 0) {
+        return existing;
+      }
+
+      values.push(methodId);
+      const result = await query(
+        `UPDATE shipping_methods SET ${assignments.join(', ')}
+         WHERE id = $${values.length}
+         RETURNING *`,
+        values
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error updating shipping method', { error });
+      }
+      throw error;
+    }
+  }
+
+  // Methods that can ship `lines` to `country`, in the zone's sort order, each
+  // as { id, name, shippingCents, minTransitDays, maxTransitDays }.
+  // `merchandiseCents` is the subtotal after discounts, in the currency of the
+  // `money` converter (see CurrencyService.getConverter; the base currency if
+  // not given).
+  //
+  // With `includeInactive`, deactivated zones and methods are considered too -
+  // used when recording an order that was already paid with that method.
+  static async getShippingOptions({ lines, merchandiseCents, country, money = null }, { includeInactive = false } = {}) {
+    let methods;
+
+    try {
+      const zonesResult = await query(
+        'SELECT COUNT(*)::int AS count FROM shipping_zones WHERE is_active = true'
+      );
+
+      if (zonesResult.rows[0].count === 0 && !includeInactive) {
+        return [DEFAULT_METHOD];
+      }
+
+      const normalizedCountry = country ? String(country).trim().toUpperCase() : null;
+      if (!normalizedCountry) {
+        throw createHttpError(400, 'A shipping country is required');
+      }
+
+      // A zone listing the country beats the rest-of-world zone
+      const methodsResult = await query(
+        `WITH zone AS (
+           SELECT id FROM shipping_zones
+           WHERE ($2 OR is_active = true)
+             AND ($1 = ANY(countries) OR countries = '{}')
+           ORDER BY is_active DESC, ($1 = ANY(countries)) DESC, id
+           LIMIT 1
+         )
+         SELECT m.* FROM shipping_methods m
+         JOIN zone ON zone.id = m.zone_id
+         WHERE $2 OR m.is_active = true
+         ORDER BY m.sort_order, m.id`,
+        [normalizedCountry, includeInactive]
+      );
+      methods = methodsResult.rows;
+
+      if (methods.length === 0) {
+        if (includeInactive && zonesResult.rows[0].count === 0) {
+          return [DEFAULT_METHOD];
+        }
+        throw createHttpError(400, `We don't currently ship to ${normalizedCountry}`);
+      }
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error fetching shipping methods', { error });
+      }
+      throw error;
+    }
+
+    const weightGrams = lines.reduce((sum, line) => sum + (line.weightGrams || 0) * line.quantity, 0);
+    const fromBase = money ? money.fromBase : (amount) => toCents(amount);
+
+    const options = methods
+      .map(method => ({
+        id: method.id,
+        name: method.name,
+        shippingCents: methodRateCents(method, { weightGrams, merchandiseCents, fromBase }),
+        minTransitDays: method.min_transit_days,
+        maxTransitDays: method.max_transit_days
+      }))
+      .filter(option => option.shippingCents !== null);
+
+    if (options.length === 0) {
+      throw createHttpError(400, 'No shipping method is available for this order');
+    }
+
+    return options;
+  }
+}
+
+module.exports = ShippingService;
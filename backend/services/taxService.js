@@ -0,0 +1,219 @@
+// Tax Service - Picks the tax rule for a shipping destination and works out
+// per-line tax
+const { query } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+const { logger } = require('../utils/logger');
+
+// Used when no rule matches the destination
+const DEFAULT_TAX_RATE = process.env.DEFAULT_TAX_RATE !== undefined
+  ? parseFloat(process.env.DEFAULT_TAX_RATE)
+  : 0.08;
+
+const normalizeCountry = (country) => (country ? String(country).trim().toUpperCase() : null);
+const normalizeRegion = (region) => (region ? String(region).trim().toUpperCase() : null);
+const normalizePostalCode = (postalCode) => (postalCode ? String(postalCode).replace(/\s+/g, '').toUpperCase() : null);
+
+// Validate admin tax rule input; `partial` allows updates that only set some fields
+const validateTaxRuleInput = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.country !== undefined) {
+    if (typeof data.country !== 'string' || !/^[A-Za-z]{2}$/.test(data.country.trim())) {
+      errors.push('country must be a two-letter country code');
+    }
+  }
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || data.rate !== undefined) {
+    const rate = Number(data.rate);
+    if (data.rate === null || data.rate === '' || !Number.isFinite(rate) || rate < 0 || rate >= 1) {
+      errors.push('rate must be a fraction between 0 and 1 (e.g. 0.0825 for 8.25%)');
+    }
+  }
+
+  if (data.region !== undefined && data.region !== null && (typeof data.region !== 'string' || data.region.trim() === '')) {
+    errors.push('region must be a non-empty string');
+  }
+
+  if (data.postalPrefix !== undefined && data.postalPrefix !== null &&
+      (typeof data.postalPrefix !== 'string' || !/^[A-Za-z0-9 -]+$/.test(data.postalPrefix.trim()))) {
+    errors.push('postalPrefix must contain only letters, numbers, spaces or dashes');
+  }
+
+  for (const field of ['isInclusive', 'isActive']) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid tax rule', errors);
+  }
+};
+
+class TaxService {
+
+  static async listTaxRules() {
+    try {
+      const result = await query(
+        `SELECT * FROM tax_rules
+         ORDER BY country, region NULLS FIRST, postal_prefix NULLS FIRST`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing tax rules', { error });
+      throw error;
+    }
+  }
+
+  static async createTaxRule(data) {
+    validateTaxRuleInput(data);
+
+    try {
+      const result = await query(
+        `INSERT INTO tax_rules (country, region, postal_prefix, name, rate, is_inclusive, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          normalizeCountry(data.country),
+          normalizeRegion(data.region),
+          normalizePostalCode(data.postalPrefix),
+          data.name.trim(),
+          Number(data.rate),
+          data.isInclusive || false,
+          data.isActive !== undefined ? data.isActive : true
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, 'A tax rule for this destination already exists');
+      }
+      logger.error('Error creating tax rule', { error });
+      throw error;
+    }
+  }
+
+  // Update only the fields present in `data`
+  static async updateTaxRule(ruleId, data) {
+    validateTaxRuleInput(data, { partial: true });
+
+    if (!Number.isInteger(ruleId)) {
+      return null;
+    }
+
+    const columns = {
+      country: data.country !== undefined ? normalizeCountry(data.country) : undefined,
+      region: data.region !== undefined ? normalizeRegion(data.region) : undefined,
+      postal_prefix: data.postalPrefix !== undefined ? normalizePostalCode(data.postalPrefix) : undefined,
+      name: data.name !== undefined ? data.name.trim() : undefined,
+      rate: data.rate !== undefined ? Number(data.rate) : undefined,
+      is_inclusive: data.isInclusive,
+      is_active: data.isActive
+    };
+
+    const assignments = [];
+    const values = [];
+    for (const [column, value] of Object.entries(columns)) {
+      if (value !== undefined) {
+        values.push(value);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+
+    try {
+      if (assignments.length === 0) {
+        const result = await query('SELECT * FROM tax_rules WHERE id = $1', [ruleId]);
+        return result.rows[0] || null;
+      }
+
+      values.push(ruleId);
+      const result = await query(
+        `UPDATE tax_rules SET ${assignments.join(', ')}
+         WHERE id = $${values.length}
+         RETURNING *`,
+        values
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, 'A tax rule for this destination already exists');
+      }
+      logger.error('Error updating tax rule', { error });
+      throw error;
+    }
+  }
+
+  // Rules are deactivated rather than deleted so past quotes can be explained
+  static async deactivateTaxRule(ruleId) {
+    return TaxService.updateTaxRule(ruleId, { isActive: false });
+  }
+
+  // The most specific active rule for `address` ({ country, region, postalCode }),
+  // or the DEFAULT_TAX_RATE fallback (exclusive) if none matches
+  static async findRule(address = {}) {
+    const country = normalizeCountry(address.country);
+
+    if (country) {
+      try {
+        const result = await query(
+          `SELECT * FROM tax_rules
+           WHERE is_active = true
+             AND country = $1
+             AND (region IS NULL OR region = $2)
+             AND (postal_prefix IS NULL OR $3 LIKE postal_prefix || '%')
+           ORDER BY LENGTH(COALESCE(postal_prefix, '')) DESC, (region IS NOT NULL) DESC
+           LIMIT 1`,
+          [country, normalizeRegion(address.region) || '', normalizePostalCode(address.postalCode) || '']
+        );
+
+        if (result.rows[0]) {
+          const rule = result.rows[0];
+          return {
+            ruleId: rule.id,
+            name: rule.name,
+            rate: Number(rule.rate),
+            inclusive: rule.is_inclusive
+          };
+        }
+      } catch (error) {
+        logger.error('Error finding tax rule', { error });
+        throw error;
+      }
+    }
+
+    return {
+      ruleId: null,
+      name: 'Tax',
+      rate: DEFAULT_TAX_RATE,
+      inclusive: false
+    };
+  }
+
+  // Tax each line's amount after discounts at the destination's rate. Lines
+  // are rounded individually so the stored per-line tax adds up to the total.
+  // For inclusive rules the tax is the part of the price that is tax.
+  static async calculateTax(lines, address) {
+    const rule = await TaxService.findRule(address);
+
+    const lineTaxCents = lines.map(line => {
+      const taxableCents = line.lineTotalCents - (line.discountCents || 0);
+      return rule.inclusive
+        ? Math.round(taxableCents * rule.rate / (1 + rule.rate))
+        : Math.round(taxableCents * rule.rate);
+    });
+
+    return {
+      rule,
+      lineTaxCents,
+      taxCents: lineTaxCents.reduce((sum, cents) => sum + cents, 0)
+    };
+  }
+}
+
+module.exports = TaxService;
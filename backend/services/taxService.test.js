@@ -0,0 +1,63 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { query } = require('../database/connection');
+const TaxService = require('./taxService');
+
+const mockRule = (rule) => {
+  query.mockResolvedValue({ rows: rule ? [rule] : [] });
+};
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+describe('TaxService.calculateTax', () => {
+  test('taxes each line after its discount and rounds per line', async () => {
+    mockRule({ id: 3, name: 'Sales tax', rate: '0.0825', is_inclusive: false });
+
+    const tax = await TaxService.calculateTax([
+      { lineTotalCents: 1000, discountCents: 100 },
+      { lineTotalCents: 333 }
+    ], { country: 'US', region: 'TX' });
+
+    // 900 * 8.25% = 74.25 and 333 * 8.25% = 27.47
+    expect(tax.lineTaxCents).toEqual([74, 27]);
+    expect(tax.taxCents).toBe(101);
+    expect(tax.rule).toEqual({ ruleId: 3, name: 'Sales tax', rate: 0.0825, inclusive: false });
+  });
+
+  test('takes the tax out of the price for inclusive rules', async () => {
+    mockRule({ id: 4, name: 'VAT', rate: '0.20', is_inclusive: true });
+
+    const tax = await TaxService.calculateTax([{ lineTotalCents: 1200 }, { lineTotalCents: 999 }], { country: 'GB' });
+
+    expect(tax.lineTaxCents).toEqual([200, 167]);
+    expect(tax.rule.inclusive).toBe(true);
+  });
+
+  test('falls back to the default rate when no rule matches', async () => {
+    mockRule(null);
+
+    const tax = await TaxService.calculateTax([{ lineTotalCents: 1000 }], { country: 'FR' });
+
+    expect(tax.rule).toEqual({ ruleId: null, name: 'Tax', rate: 0.08, inclusive: false });
+    expect(tax.taxCents).toBe(80);
+  });
+
+  test('uses the default rate without looking up a rule when there is no country', async () => {
+    const tax = await TaxService.calculateTax([{ lineTotalCents: 1000 }], {});
+
+    expect(query).not.toHaveBeenCalled();
+    expect(tax.taxCents).toBe(80);
+  });
+});
+
+describe('TaxService.findRule', () => {
+  test('matches on the normalized destination', async () => {
+    mockRule(null);
+
+    await TaxService.findRule({ country: ' gb ', region: 'eng', postalCode: 'sw1a 1aa' });
+
+    expect(query.mock.calls[0][1]).toEqual(['GB', 'ENG', 'SW1A1AA']);
+  });
+});
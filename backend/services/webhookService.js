@@ -0,0 +1,93 @@
+// Webhook Service - Applies Stripe webhook events to orders
+const OrderService = require('./orderService');
+const InventoryService = require('./inventoryService');
+const DiscountService = require('./discountService');
+const OrderRecoveryService = require('./orderRecoveryService');
+const { logger } = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+
+const paymentsFailed = createCounter({
+  name: 'payments_failed_total',
+  help: 'Payment intents that failed (payment_intent.payment_failed webhooks)'
+});
+
+class WebhookService {
+
+  // Dispatch a verified Stripe event to its handler
+  static async handleEvent(event) {
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return WebhookService.handlePaymentSucceeded(event.data.object);
+      case 'payment_intent.payment_failed':
+        return WebhookService.handlePaymentFailed(event.data.object);
+      case 'payment_intent.canceled':
+        return WebhookService.handlePaymentCanceled(event.data.object);
+      case 'charge.refunded':
+        return WebhookService.handleChargeRefunded(event.data.object);
+      default:
+        logger.debug('Ignoring Stripe event', { eventType: event.type });
+        return null;
+    }
+  }
+
+  // Create the order server-side in case the browser never reported back
+  static async handlePaymentSucceeded(paymentIntent) {
+    const orderData = OrderService.orderDataFromPaymentIntent(paymentIntent);
+
+    if (!orderData) {
+      logger.warn('Payment intent has no order metadata, skipping', { paymentIntentId: paymentIntent.id });
+      return null;
+    }
+
+    // If the order was journaled after the database failed, save it under the
+    // number the customer was already given
+    const journaled = await OrderRecoveryService.getEntry(paymentIntent.id).catch(() => null);
+    if (journaled) {
+      orderData.orderNumber = journaled.orderNumber;
+    }
+
+    const orderResult = await OrderService.createOrder(orderData);
+
+    if (orderResult.alreadyExists) {
+      logger.info('Webhook: order already recorded', { paymentIntentId: paymentIntent.id });
+    } else {
+      logger.info('Webhook: order created from payment intent', { paymentIntentId: paymentIntent.id, orderId: orderResult.orderId });
+    }
+
+    return orderResult;
+  }
+
+  static async handlePaymentFailed(paymentIntent) {
+    const failureMessage = paymentIntent.last_payment_error?.message || 'unknown reason';
+    logger.warn('Payment failed', { paymentIntentId: paymentIntent.id, reason: failureMessage });
+    paymentsFailed.inc();
+
+    await InventoryService.releaseReservation(paymentIntent.id);
+    await DiscountService.releaseReservation(paymentIntent.id);
+    return OrderService.updatePaymentStatus(paymentIntent.id, 'failed');
+  }
+
+  static async handlePaymentCanceled(paymentIntent) {
+    const released = await InventoryService.releaseReservation(paymentIntent.id);
+    await DiscountService.releaseReservation(paymentIntent.id);
+    logger.info('Payment intent canceled', { paymentIntentId: paymentIntent.id, releasedReservations: released });
+    return null;
+  }
+
+  static async handleChargeRefunded(charge) {
+    if (!charge.payment_intent) {
+      return null;
+    }
+
+    const paymentStatus = charge.amount_refunded >= charge.amount ? 'refunded' : 'partially_refunded';
+    const order = await OrderService.updatePaymentStatus(charge.payment_intent, paymentStatus);
+
+    if (order) {
+      logger.info('Webhook: order payment status updated', { orderId: order.order_id, paymentStatus });
+    }
+
+    return order;
+  }
+}
+
+module.exports = WebhookService;
@@ -51,10 +51,25 @@ async function testStripeConnection() {
     }
 }
 
+async function getAdminToken() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+        throw new Error('Set ADMIN_EMAIL and ADMIN_PASSWORD to test admin endpoints');
+    }
+    const response = await axios.post(`${BACKEND_URL}/api/admin/login`, {
+        email: ADMIN_EMAIL,
+        password: ADMIN_PASSWORD
+    });
+    return response.data.token;
+}
+
 async function testOrdersEndpoint() {
     console.log('\n🔍 Testing Orders Endpoint...');
     try {
-        const response = await axios.get(`${BACKEND_URL}/api/admin/orders?limit=1`);
+        const token = await getAdminToken();
+        const response = await axios.get(`${BACKEND_URL}/api/admin/orders?limit=1`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
         console.log('✅ Orders Endpoint: SUCCESS');
         console.log(`📊 Found ${response.data.orders.length} orders`);
     } catch (error) {
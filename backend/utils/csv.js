@@ -0,0 +1,23 @@
+// CSV (RFC 4180) encoding for exports
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Prefix text that would be run as a formula (but not negative numbers)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line for `values`, with its line ending
+const csvRow = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+module.exports = { csvRow };
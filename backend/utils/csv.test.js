@@ -0,0 +1,32 @@
+const { csvRow } = require('./csv');
+
+describe('csvRow', () => {
+  test('joins values with commas and ends with CRLF', () => {
+    expect(csvRow(['a', 1, 2.5, true])).toBe('a,1,2.5,true\r\n');
+  });
+
+  test('writes null and undefined as empty cells', () => {
+    expect(csvRow([null, 'b', undefined])).toBe(',b,\r\n');
+  });
+
+  test('quotes cells with commas, quotes or line breaks', () => {
+    expect(csvRow(['a,b'])).toBe('"a,b"\r\n');
+    expect(csvRow(['say "hi"'])).toBe('"say ""hi"""\r\n');
+    expect(csvRow(['line 1\nline 2'])).toBe('"line 1\nline 2"\r\n');
+  });
+
+  test('writes dates as ISO timestamps', () => {
+    expect(csvRow([new Date('2024-03-01T12:00:00Z')])).toBe('2024-03-01T12:00:00.000Z\r\n');
+  });
+
+  test('prefixes text that a spreadsheet would run as a formula', () => {
+    expect(csvRow(['=SUM(A1:A9)'])).toBe("'=SUM(A1:A9)\r\n");
+    expect(csvRow(['+1 555 0100'])).toBe("'+1 555 0100\r\n");
+    expect(csvRow(['@cmd'])).toBe("'@cmd\r\n");
+    expect(csvRow(['=HYPERLINK("x")'])).toBe('"\'=HYPERLINK(""x"")"\r\n');
+  });
+
+  test('leaves negative numbers alone', () => {
+    expect(csvRow([-5, '-12.50'])).toBe('-5,-12.50\r\n');
+  });
+});
@@ -0,0 +1,15 @@
+// Opaque cursors for keyset pagination - the sort key of the last row on a
+// page, encoded so clients pass it back unchanged to get the next page
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+// The values encoded in `cursor`, or null if it isn't a cursor we issued
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
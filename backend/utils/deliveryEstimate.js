@@ -0,0 +1,45 @@
+// Delivery estimates - transit times are in business days, so weekends and
+// the dates listed in SHIPPING_HOLIDAYS (comma-separated YYYY-MM-DD) are skipped
+
+const holidays = () => new Set(
+  (process.env.SHIPPING_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean)
+);
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const isBusinessDay = (date, holidayDates) => {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !holidayDates.has(toDateString(date));
+};
+
+// The date `days` business days after `from`
+const addBusinessDays = (from, days, holidayDates = holidays()) => {
+  const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  let remaining = days;
+
+  while (remaining > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isBusinessDay(date, holidayDates)) {
+      remaining--;
+    }
+  }
+
+  return date;
+};
+
+// { estimatedDelivery: '3-5 business days', earliestDelivery, latestDelivery }
+// for an order placed at `from`
+const estimateDelivery = ({ minDays, maxDays }, from = new Date()) => {
+  const holidayDates = holidays();
+  const start = new Date(from);
+
+  return {
+    estimatedDelivery: minDays === maxDays
+      ? `${minDays} business day${minDays === 1 ? '' : 's'}`
+      : `${minDays}-${maxDays} business days`,
+    earliestDelivery: toDateString(addBusinessDays(start, minDays, holidayDates)),
+    latestDelivery: toDateString(addBusinessDays(start, maxDays, holidayDates))
+  };
+};
+
+module.exports = { addBusinessDays, estimateDelivery };
@@ -0,0 +1,38 @@
+// Counts failed attempts per key (an IP address, an order number) and blocks
+// the key once it reaches the limit, until its window ends. Counts are kept in
+// a rate limit store (utils/rateLimitStores.js), so with the Postgres store
+// every server instance sees the same failures.
+const { hashKey } = require('./rateLimitStores');
+const { logger } = require('./logger');
+
+// Returns { isBlocked(key), recordFailure(key) }; isBlocked resolves to the
+// seconds until the key is unblocked, or 0. If the store can't be reached,
+// nothing is blocked.
+const createFailureLimiter = ({ name, store, maxFailures, windowMs }) => {
+  const storeKey = (key) => `${name}:failures:${hashKey(key)}`;
+
+  const isBlocked = async (key) => {
+    try {
+      const current = await store.get(storeKey(key));
+      if (!current || current.hits < maxFailures) {
+        return 0;
+      }
+      return Math.max(Math.ceil((current.resetAt - Date.now()) / 1000), 1);
+    } catch (error) {
+      logger.error('Rate limit store unavailable, failure limit not checked', { limit: name, error });
+      return 0;
+    }
+  };
+
+  const recordFailure = async (key) => {
+    try {
+      await store.hit(storeKey(key), windowMs);
+    } catch (error) {
+      logger.error('Rate limit store unavailable, failure not recorded', { limit: name, error });
+    }
+  };
+
+  return { isBlocked, recordFailure };
+};
+
+module.exports = { createFailureLimiter };
@@ -0,0 +1,12 @@
+// Errors carrying an HTTP status code, so routes can tell client mistakes
+// (bad input, unknown records, conflicts) apart from server failures
+const createHttpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = { createHttpError };
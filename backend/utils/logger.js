@@ -0,0 +1,128 @@
+// Structured logging - one JSON object per line, tagged with the ID of the
+// request being handled (see middleware/requestContext.js) and with personal
+// data and payment secrets redacted before anything is written.
+//
+// LOG_LEVEL        debug, info (default), warn or error
+// LOG_REDACT       what to redact: comma-separated emails, addresses, secrets
+//                  (default all three), or none
+// LOG_REDACT_KEYS  more field names whose values are always redacted
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MAX_DEPTH = 6;
+const REDACTED = '[redacted]';
+
+const requestContext = new AsyncLocalStorage();
+
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const redact = new Set(
+  (process.env.LOG_REDACT || 'emails,addresses,secrets').split(',').map(category => category.trim())
+);
+const extraKeys = new Set(
+  (process.env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim().toLowerCase()).filter(Boolean)
+);
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Field names holding a shipping address or the person it's for
+const ADDRESS_KEY = /address|city|region|postal|zip|phone|^(customer_?|recipient_?)?name$/i;
+const SECRET_KEY = /pass(word)?$|secret|token|authorization|cookie|signature|^card/i;
+
+// Secrets that turn up inside other text (error messages, URLs, SQL)
+const SECRET_PATTERNS = [
+  [/\b(pi|seti)_[A-Za-z0-9]+_secret_[A-Za-z0-9]+/g, REDACTED],  // Stripe client secrets
+  [/\b(sk|rk|whsec)_[A-Za-z0-9_]+/g, REDACTED],                  // Stripe API and webhook keys
+  [/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  [/([?&#]token=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+// "jane@example.com" -> "j***@example.com"
+const redactText = (text) => {
+  let result = text;
+  if (redact.has('emails')) {
+    result = result.replace(EMAIL_PATTERN, '$1***@$2');
+  }
+  if (redact.has('secrets')) {
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+  }
+  return result;
+};
+
+const isRedactedKey = (key) => extraKeys.has(key.toLowerCase())
+  || (redact.has('addresses') && ADDRESS_KEY.test(key))
+  || (redact.has('secrets') && SECRET_KEY.test(key));
+
+// A JSON-safe, redacted copy of a logged value
+const sanitize = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return sanitize({
+      type: value.name,
+      message: value.message,
+      code: value.code,
+      statusCode: value.statusCode,
+      detail: value.detail,
+      stack: value.stack
+    }, depth);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) {
+      continue;
+    }
+    result[key] = isRedactedKey(key) && item !== null ? REDACTED : sanitize(item, depth + 1);
+  }
+  return result;
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const entry = sanitize({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...requestContext.getStore(),
+    ...fields
+  });
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// Run `fn` with `context` (e.g. { requestId }) added to every log line
+// written while it runs, including from the async work it starts
+const runWithLogContext = (context, fn) => requestContext.run({ ...requestContext.getStore(), ...context }, fn);
+
+module.exports = { logger, runWithLogContext };
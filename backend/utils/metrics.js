@@ -0,0 +1,115 @@
+// Metrics - counters, gauges and histograms kept in memory and served at
+// /metrics in the Prometheus text exposition format. Each module defines the
+// metrics it records; names must be unique.
+const metrics = new Map();
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// '{method="GET",status="200"}' for the given label values ('' for none)
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+// The labels of the series `labels` belongs to - one per label name, with
+// missing values as empty strings
+const seriesLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+
+const register = (metric) => {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+};
+
+// A value that only goes up, e.g. requests served
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  // Without labels there's one series, reported from the start
+  if (labelNames.length === 0) {
+    series.set('[]', { labels: {}, value: 0 });
+  }
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const seriesValues = seriesLabels(labelNames, labels);
+      const key = JSON.stringify(Object.values(seriesValues));
+      const current = series.get(key);
+      series.set(key, { labels: seriesValues, value: (current?.value || 0) + amount });
+    },
+    lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+  });
+};
+
+// A value read when metrics are scraped, from `collect()` returning a number
+// or a list of { labels, value }
+const createGauge = ({ name, help, collect }) => register({
+  name,
+  help,
+  type: 'gauge',
+  lines: () => {
+    const value = collect();
+    const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+    return samples.map(sample => `${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+});
+
+// Observations (e.g. durations in seconds) counted into cumulative buckets
+const createHistogram = ({ name, help, labelNames = [], buckets = HTTP_BUCKETS }) => {
+  const series = new Map();
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const seriesValues = seriesLabels(labelNames, labels);
+      const key = JSON.stringify(Object.values(seriesValues));
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: seriesValues, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          current.counts[index]++;
+        }
+      });
+      current.sum += value;
+      current.count++;
+    },
+    lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+};
+
+// Every registered metric in the Prometheus text format (version 0.0.4)
+const renderMetrics = () => [...metrics.values()]
+  .map(metric => [
+    `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+  ].join('\n'))
+  .join('\n') + '\n';
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { createCounter, createGauge, createHistogram, renderMetrics, METRICS_CONTENT_TYPE };
@@ -0,0 +1,36 @@
+// Money helpers - prices are computed in integer cents to avoid float drift
+// and only converted to decimal strings at the database/API boundary.
+// "Cents" means the currency's smallest unit, which for zero-decimal
+// currencies like JPY is the whole unit - the same amounts Stripe expects.
+
+// The currency catalog prices, discount amounts and shipping rates are set in
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Currencies without a minor unit (Stripe's zero-decimal list)
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+]);
+
+// Three-decimal currencies don't fit the DECIMAL(10,2) amount columns
+const UNSUPPORTED_CURRENCIES = new Set(['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND']);
+
+const currencyDecimals = (currency = 'USD') => (ZERO_DECIMAL_CURRENCIES.has(currency.toUpperCase()) ? 0 : 2);
+
+// Convert a decimal amount (number or DECIMAL string from Postgres) to cents
+const toCents = (amount, currency = 'USD') => Math.round(parseFloat(amount) * 10 ** currencyDecimals(currency));
+
+// Convert cents to the decimal string stored in DECIMAL(10,2) columns
+// ("12.50", or "1250" for zero-decimal currencies)
+const fromCents = (cents, currency = 'USD') => {
+  const decimals = currencyDecimals(currency);
+  return (cents / 10 ** decimals).toFixed(decimals);
+};
+
+// A valid, supported ISO 4217 code in upper case, or null
+const normalizeCurrency = (currency) => {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+  return /^[A-Z]{3}$/.test(code) && !UNSUPPORTED_CURRENCIES.has(code) ? code : null;
+};
+
+module.exports = { BASE_CURRENCY, currencyDecimals, toCents, fromCents, normalizeCurrency };
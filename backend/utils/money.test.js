@@ -0,0 +1,67 @@
+const { currencyDecimals, toCents, fromCents, normalizeCurrency } = require('./money');
+
+describe('currencyDecimals', () => {
+  test('is 2 for most currencies and 0 for zero-decimal ones', () => {
+    expect(currencyDecimals('USD')).toBe(2);
+    expect(currencyDecimals('EUR')).toBe(2);
+    expect(currencyDecimals('JPY')).toBe(0);
+    expect(currencyDecimals('krw')).toBe(0);
+  });
+});
+
+describe('toCents', () => {
+  test('converts numbers and DECIMAL strings to whole cents', () => {
+    expect(toCents(12.5)).toBe(1250);
+    expect(toCents('19.99')).toBe(1999);
+    expect(toCents('0.00')).toBe(0);
+  });
+
+  test('rounds away float drift', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(1.15)).toBe(115);
+    expect(toCents(4.35)).toBe(435);
+  });
+
+  test('uses whole units for zero-decimal currencies', () => {
+    expect(toCents('1500', 'JPY')).toBe(1500);
+    expect(toCents(1500.4, 'JPY')).toBe(1500);
+  });
+});
+
+describe('fromCents', () => {
+  test('formats cents as a decimal string', () => {
+    expect(fromCents(1250)).toBe('12.50');
+    expect(fromCents(5)).toBe('0.05');
+    expect(fromCents(-1999)).toBe('-19.99');
+  });
+
+  test('formats zero-decimal currencies without a fraction', () => {
+    expect(fromCents(1250, 'JPY')).toBe('1250');
+  });
+
+  test('round-trips with toCents', () => {
+    for (const amount of ['0.01', '9.99', '123.45', '99999.99']) {
+      expect(fromCents(toCents(amount))).toBe(amount);
+    }
+  });
+});
+
+describe('normalizeCurrency', () => {
+  test('trims and upper-cases ISO codes', () => {
+    expect(normalizeCurrency(' eur ')).toBe('EUR');
+    expect(normalizeCurrency('JPY')).toBe('JPY');
+  });
+
+  test('rejects malformed codes and non-strings', () => {
+    expect(normalizeCurrency('EURO')).toBeNull();
+    expect(normalizeCurrency('U1D')).toBeNull();
+    expect(normalizeCurrency('')).toBeNull();
+    expect(normalizeCurrency(null)).toBeNull();
+    expect(normalizeCurrency(840)).toBeNull();
+  });
+
+  test('rejects three-decimal currencies', () => {
+    expect(normalizeCurrency('KWD')).toBeNull();
+    expect(normalizeCurrency('bhd')).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+// Order numbers - "KK-" followed by random characters and a check character,
+// e.g. KK-7QF3XM9D2K3. The random part makes numbers impossible to guess or
+// enumerate; the check character catches mistyped numbers.
+const crypto = require('crypto');
+
+// Crockford base32: no I, L, O or U, so numbers read aloud or copied by hand
+// aren't ambiguous
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RANDOM_LENGTH = 10;                               // 50 bits
+const PREFIX = 'KK-';
+
+// Numbers issued before check characters were added (KK- plus six digits)
+const LEGACY_PATTERN = /^KK-\d{6}$/;
+const PATTERN = new RegExp(`^${PREFIX}[${ALPHABET}]{${RANDOM_LENGTH + 1}}$`);
+
+// Luhn mod 32 check character for `body` - detects any single wrong
+// character and most swapped neighbours
+const checkCharacter = (body) => {
+  const base = ALPHABET.length;
+  let sum = 0;
+  let factor = 2;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    const addend = factor * ALPHABET.indexOf(body[i]);
+    sum += Math.floor(addend / base) + (addend % base);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return ALPHABET[(base - (sum % base)) % base];
+};
+
+const generateOrderNumber = () => {
+  let body = '';
+  for (let i = 0; i < RANDOM_LENGTH; i++) {
+    body += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return `${PREFIX}${body}${checkCharacter(body)}`;
+};
+
+// Upper-case and trim a customer-entered number
+const normalizeOrderNumber = (orderNumber) => String(orderNumber ?? '').trim().toUpperCase();
+
+// Whether `orderNumber` could be a real order number (legacy numbers have no
+// check character and are always accepted)
+const isValidOrderNumber = (orderNumber) => {
+  if (LEGACY_PATTERN.test(orderNumber)) {
+    return true;
+  }
+  if (!PATTERN.test(orderNumber)) {
+    return false;
+  }
+  const body = orderNumber.slice(PREFIX.length, -1);
+  return checkCharacter(body) === orderNumber.slice(-1);
+};
+
+module.exports = { generateOrderNumber, normalizeOrderNumber, isValidOrderNumber };
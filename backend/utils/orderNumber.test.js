@@ -0,0 +1,59 @@
+const { generateOrderNumber, normalizeOrderNumber, isValidOrderNumber } = require('./orderNumber');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+describe('generateOrderNumber', () => {
+  test('generates valid KK- numbers', () => {
+    for (let i = 0; i < 100; i++) {
+      const orderNumber = generateOrderNumber();
+      expect(orderNumber).toMatch(/^KK-[0-9A-HJKMNP-TV-Z]{11}$/);
+      expect(isValidOrderNumber(orderNumber)).toBe(true);
+    }
+  });
+
+  test('does not repeat', () => {
+    const numbers = new Set(Array.from({ length: 1000 }, generateOrderNumber));
+    expect(numbers.size).toBe(1000);
+  });
+});
+
+describe('isValidOrderNumber', () => {
+  test('rejects any single mistyped character', () => {
+    const orderNumber = generateOrderNumber();
+
+    for (let position = 3; position < orderNumber.length; position++) {
+      for (const character of ALPHABET) {
+        if (character === orderNumber[position]) {
+          continue;
+        }
+        const mistyped = orderNumber.slice(0, position) + character + orderNumber.slice(position + 1);
+        expect(isValidOrderNumber(mistyped)).toBe(false);
+      }
+    }
+  });
+
+  test('accepts legacy six-digit numbers', () => {
+    expect(isValidOrderNumber('KK-123456')).toBe(true);
+    expect(isValidOrderNumber('KK-12345')).toBe(false);
+  });
+
+  test('rejects other shapes', () => {
+    const orderNumber = generateOrderNumber();
+    expect(isValidOrderNumber(orderNumber.toLowerCase())).toBe(false);
+    expect(isValidOrderNumber(orderNumber.slice(3))).toBe(false);
+    expect(isValidOrderNumber(`${orderNumber}0`)).toBe(false);
+    expect(isValidOrderNumber('KK-ILOUILOUILO')).toBe(false);
+    expect(isValidOrderNumber('')).toBe(false);
+  });
+});
+
+describe('normalizeOrderNumber', () => {
+  test('trims and upper-cases', () => {
+    expect(normalizeOrderNumber(' kk-7qf3xm9d2k3 ')).toBe('KK-7QF3XM9D2K3');
+  });
+
+  test('turns missing values into an empty string', () => {
+    expect(normalizeOrderNumber(undefined)).toBe('');
+    expect(normalizeOrderNumber(null)).toBe('');
+  });
+});
@@ -0,0 +1,27 @@
+// Password hashing with Node's built-in scrypt
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Returns "scrypt$<salt>$<hash>" (hex encoded)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, storedHash) => {
+  const [algorithm, saltHex, hashHex] = (storedHash || '').split('$');
+
+  if (algorithm !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,47 @@
+// Proof of work - makes each form submission cost the sender some CPU time.
+// The server issues a signed challenge; the client finds a nonce for which
+// SHA-256("<challenge>:<subject>:<nonce>") starts with `difficulty` zero bits
+// (about 2^difficulty hashes) and sends it with the form. The subject (e.g. the
+// email address being subscribed) ties a solution to one submission's data,
+// so it can't be reused for others.
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signedTokens');
+
+const CHALLENGE_TTL_SECONDS = 10 * 60;
+const MAX_NONCE_LENGTH = 64;
+
+const issueChallenge = (difficulty) => ({
+  challenge: signToken(
+    { difficulty, salt: crypto.randomBytes(8).toString('hex') },
+    { purpose: 'proof-of-work', expiresInSeconds: CHALLENGE_TTL_SECONDS }
+  ),
+  difficulty,
+  expiresIn: CHALLENGE_TTL_SECONDS
+});
+
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte !== 0) {
+      return bits + Math.clz32(byte) - 24;
+    }
+    bits += 8;
+  }
+  return bits;
+};
+
+// True if `nonce` solves an unexpired `challenge` of at least `difficulty` for `subject`
+const verifySolution = (challenge, subject, nonce, difficulty) => {
+  const payload = verifyToken(challenge, 'proof-of-work');
+  if (!payload || !(payload.difficulty >= difficulty)) {
+    return false;
+  }
+  if ((typeof nonce !== 'string' && typeof nonce !== 'number') || String(nonce).length > MAX_NONCE_LENGTH) {
+    return false;
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${subject}:${nonce}`).digest();
+  return leadingZeroBits(hash) >= payload.difficulty;
+};
+
+module.exports = { issueChallenge, verifySolution };
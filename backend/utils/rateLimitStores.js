@@ -0,0 +1,94 @@
+// Rate limit stores - count requests per key in fixed windows, chosen with
+// RATE_LIMIT_STORE:
+//   memory   - counts kept by this process (default; each instance limits
+//              separately)
+//   postgres - counts kept in the rate_limits table, shared by every instance
+//
+// A store has hit(key, windowMs), which counts one request and resolves to
+// { hits, resetAt } for the key's current window (resetAt in ms), get(key),
+// which resolves to the same without counting (null if the key has no open
+// window), and purgeExpired(), which forgets windows that have ended.
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+
+// Callers hash their keys with this so a store never holds email or IP addresses
+const hashKey = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  return {
+    name: 'memory',
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let current = windows.get(key);
+      if (!current || current.resetAt <= now) {
+        current = { hits: 0, resetAt: now + windowMs };
+        windows.set(key, current);
+      }
+      current.hits++;
+      return { hits: current.hits, resetAt: current.resetAt };
+    },
+    get: async (key) => {
+      const current = windows.get(key);
+      return current && current.resetAt > Date.now() ? { hits: current.hits, resetAt: current.resetAt } : null;
+    },
+    purgeExpired: async () => {
+      const now = Date.now();
+      let purged = 0;
+      for (const [key, current] of windows) {
+        if (current.resetAt <= now) {
+          windows.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    }
+  };
+};
+
+const createPostgresStore = () => ({
+  name: 'postgres',
+  // A window that has ended is restarted by the same upsert, so concurrent
+  // requests from any instance are counted exactly once
+  hit: async (key, windowMs) => {
+    const result = await query(
+      `INSERT INTO rate_limits (rate_key, hits, reset_at)
+       VALUES ($1, 1, NOW() + make_interval(secs => $2))
+       ON CONFLICT (rate_key) DO UPDATE
+         SET hits = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.hits + 1 END,
+             reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+       RETURNING hits, reset_at`,
+      [key, windowMs / 1000]
+    );
+    const row = result.rows[0];
+    return { hits: row.hits, resetAt: new Date(row.reset_at).getTime() };
+  },
+  get: async (key) => {
+    const result = await query(
+      'SELECT hits, reset_at FROM rate_limits WHERE rate_key = $1 AND reset_at > NOW()',
+      [key]
+    );
+    const row = result.rows[0];
+    return row ? { hits: row.hits, resetAt: new Date(row.reset_at).getTime() } : null;
+  },
+  purgeExpired: async () => {
+    const result = await query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+    return result.rowCount;
+  }
+});
+
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+const createRateLimitStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+  }
+  return factory();
+};
+
+module.exports = { createRateLimitStore, hashKey };
@@ -0,0 +1,55 @@
+// Compact HMAC-signed tokens: base64url(JSON payload).base64url(signature).
+// Every token carries a purpose, so a token issued for one feature can never
+// be accepted by another.
+const crypto = require('crypto');
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const sign = (data) => crypto
+  .createHmac('sha256', process.env.TOKEN_SECRET)
+  .update(data)
+  .digest();
+
+// Sign `payload` for `purpose`, valid for `expiresInSeconds`
+const signToken = (payload, { purpose, expiresInSeconds }) => {
+  const body = base64url(JSON.stringify({
+    ...payload,
+    purpose,
+    exp: Math.floor(Date.now() / 1000) + expiresInSeconds
+  }));
+  return `${body}.${base64url(sign(body))}`;
+};
+
+// Returns the payload, or null if the token is malformed, forged, expired or
+// was issued for a different purpose
+const verifyToken = (token, purpose) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) {
+    return null;
+  }
+
+  const expected = sign(body);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || !payload.exp || payload.exp < Date.now() / 1000) {
+    return null;
+  }
+
+  return payload;
+};
+
+module.exports = { signToken, verifyToken };
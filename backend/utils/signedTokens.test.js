@@ -0,0 +1,51 @@
+process.env.TOKEN_SECRET = 'test-secret';
+
+const { signToken, verifyToken } = require('./signedTokens');
+
+describe('signedTokens', () => {
+  test('returns the payload of a token it signed', () => {
+    const token = signToken({ sub: 7, role: 'support' }, { purpose: 'admin', expiresInSeconds: 60 });
+    const payload = verifyToken(token, 'admin');
+
+    expect(payload).toMatchObject({ sub: 7, role: 'support', purpose: 'admin' });
+    expect(payload.exp).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  test('rejects a token issued for another purpose', () => {
+    const token = signToken({ sub: 7, role: 'support' }, { purpose: 'admin', expiresInSeconds: 60 });
+    expect(verifyToken(token, 'customer')).toBeNull();
+  });
+
+  test('rejects an expired token', () => {
+    const token = signToken({ sub: 7, role: 'support' }, { purpose: 'admin', expiresInSeconds: -1 });
+    expect(verifyToken(token, 'admin')).toBeNull();
+  });
+
+  test('rejects a token with a changed payload', () => {
+    const token = signToken({ sub: 7, role: 'support' }, { purpose: 'admin', expiresInSeconds: 60 });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({
+      sub: 7,
+      role: 'operations',
+      purpose: 'admin',
+      exp: Math.floor(Date.now() / 1000) + 60
+    })).toString('base64url');
+
+    expect(verifyToken(`${forged}.${signature}`, 'admin')).toBeNull();
+  });
+
+  test('rejects a token signed with another secret', () => {
+    process.env.TOKEN_SECRET = 'other-secret';
+    const token = signToken({ sub: 7, role: 'support' }, { purpose: 'admin', expiresInSeconds: 60 });
+    process.env.TOKEN_SECRET = 'test-secret';
+
+    expect(verifyToken(token, 'admin')).toBeNull();
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(verifyToken(undefined, 'admin')).toBeNull();
+    expect(verifyToken('', 'admin')).toBeNull();
+    expect(verifyToken('no-signature', 'admin')).toBeNull();
+    expect(verifyToken('a.b', 'admin')).toBeNull();
+  });
+});